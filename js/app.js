@@ -9,7 +9,24 @@ class RTIViewerApp {
     constructor() {
         this.renderer = null;
         this.parser = new PTMParser();
+        this.rtiParser = new RTIParser();
+        this.relightLoader = new RelightLoader();
+        this.writer = new PTMWriter();
+        this.fitter = new PTMFitter();
+        this.sphereDetector = new SphereDetector();
+        this.sphereTool = null;
+        this.ptmData = null;
+        this.fileName = null;
+        this.sourceFileName = null; // Loaded file, recorded in exported images
         this.isDragging = false;
+        this.lights = [Lights.create()]; // Light sources, as passed to the renderer
+        this.selectedLight = 0; // Index of the light the control moves and the panel edits
+        this.lockedElevation = 90; // Elevation kept while dragging with the elevation locked
+        this.lampDrag = null; // {pointerId} while a point light is dragged on the image
+        this.worker = null;
+        this.view = null;
+        this.pointers = new Map(); // Active pointers on the canvas, for pan and pinch zoom
+        this.cancelCurrentLoad = null;
 
         this.initElements();
         this.bindEvents();
@@ -24,30 +41,90 @@ class RTIViewerApp {
         this.uploadArea = document.getElementById('uploadArea');
         this.fileInput = document.getElementById('fileInput');
         this.browseBtn = document.getElementById('browseBtn');
+        this.folderInput = document.getElementById('folderInput');
+        this.browseFolderBtn = document.getElementById('browseFolderBtn');
+        this.sphereInput = document.getElementById('sphereInput');
+        this.sphereBtn = document.getElementById('sphereBtn');
+
+        // Sphere light detection elements
+        this.sphereSection = document.getElementById('sphereSection');
+        this.sphereCanvas = document.getElementById('sphereCanvas');
+        this.sphereStatus = document.getElementById('sphereStatus');
+        this.detectLightsBtn = document.getElementById('detectLightsBtn');
+        this.downloadLPBtn = document.getElementById('downloadLPBtn');
+        this.buildFromLightsBtn = document.getElementById('buildFromLightsBtn');
+        this.sphereBackBtn = document.getElementById('sphereBackBtn');
         this.loadDemoBtn = document.getElementById('loadDemoBtn');
 
+        // Load error diagnostics
+        this.diagnosticPanel = document.getElementById('diagnosticPanel');
+        this.diagnosticTitle = document.getElementById('diagnosticTitle');
+        this.diagnosticMessage = document.getElementById('diagnosticMessage');
+        this.diagnosticDetails = document.getElementById('diagnosticDetails');
+        this.diagnosticClose = document.getElementById('diagnosticClose');
+
         // Viewer section elements
         this.viewerSection = document.getElementById('viewerSection');
         this.canvas = document.getElementById('rtiCanvas');
+        this.viewerContainer = document.getElementById('viewerContainer');
+        this.zoomLevel = document.getElementById('zoomLevel');
+        this.fitViewBtn = document.getElementById('fitViewBtn');
+        this.actualSizeBtn = document.getElementById('actualSizeBtn');
         this.lightControl = document.getElementById('lightControl');
-        this.lightIndicator = document.getElementById('lightIndicator');
+        this.lightHandles = [];
 
         // Control elements
-        this.modeButtons = document.querySelectorAll('.mode-btn');
-        this.specularSlider = document.getElementById('specularSlider');
-        this.specularValue = document.getElementById('specularValue');
-        this.diffuseSlider = document.getElementById('diffuseSlider');
-        this.diffuseValue = document.getElementById('diffuseValue');
+        this.viewModes = document.getElementById('viewModes');
+        this.modeButtons = [];
+        this.modeControlsGroup = document.getElementById('modeControlsGroup');
+        this.modeControls = document.getElementById('modeControls');
+        this.modeLegend = document.getElementById('modeLegend');
         this.newFileBtn = document.getElementById('newFileBtn');
+        this.normalMethodGroup = document.getElementById('normalMethodGroup');
+        this.normalMethodSelect = document.getElementById('normalMethodSelect');
+        this.baseColorGroup = document.getElementById('baseColorGroup');
+        this.baseColorInput = document.getElementById('baseColorInput');
+        this.exportFormatSelect = document.getElementById('exportFormatSelect');
+        this.exportPTMBtn = document.getElementById('exportPTMBtn');
+        this.exportPTMControl = document.getElementById('exportPTMControl');
+        this.imageScaleSelect = document.getElementById('imageScaleSelect');
+        this.exportImageBtn = document.getElementById('exportImageBtn');
+
+        // Light editing
+        this.lightList = document.getElementById('lightList');
+        this.addLightBtn = document.getElementById('addLightBtn');
+        this.removeLightBtn = document.getElementById('removeLightBtn');
+        this.lightColorInput = document.getElementById('lightColorInput');
+        this.lightIntensitySlider = document.getElementById('lightIntensitySlider');
+        this.lightIntensityValue = document.getElementById('lightIntensityValue');
+        this.lightInputSelect = document.getElementById('lightInputSelect');
+        this.lightPositionDisplay = document.getElementById('lightPositionDisplay');
+        this.lightAngleInputs = document.getElementById('lightAngleInputs');
+        this.lightAzimuthInput = document.getElementById('lightAzimuthInput');
+        this.lightElevationInput = document.getElementById('lightElevationInput');
+        this.lockElevationCheckbox = document.getElementById('lockElevationCheckbox');
+        this.hemisphereView = new HemisphereView(document.getElementById('lightHemisphere'));
+        this.lightTypeSelect = document.getElementById('lightTypeSelect');
+        this.lampControls = document.getElementById('lampControls');
+        this.lampDistanceSlider = document.getElementById('lampDistanceSlider');
+        this.lampDistanceValue = document.getElementById('lampDistanceValue');
+        this.spotAngleSlider = document.getElementById('spotAngleSlider');
+        this.spotAngleValue = document.getElementById('spotAngleValue');
+        this.placeLampCheckbox = document.getElementById('placeLampCheckbox');
+        this.lampMarkers = document.getElementById('lampMarkers');
+        this.lampBasisHint = document.getElementById('lampBasisHint');
 
         // Info displays
         this.lightXDisplay = document.getElementById('lightX');
         this.lightYDisplay = document.getElementById('lightY');
         this.imageDimensions = document.getElementById('imageDimensions');
         this.imageFormat = document.getElementById('imageFormat');
+        this.rendererType = document.getElementById('rendererType');
 
         // Loading overlay
         this.loadingOverlay = document.getElementById('loadingOverlay');
+        this.loadingProgress = document.getElementById('loadingProgress');
+        this.cancelLoadBtn = document.getElementById('cancelLoadBtn');
     }
 
     /**
@@ -62,7 +139,33 @@ class RTIViewerApp {
             }
         });
 
+        this.browseFolderBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.folderInput.click();
+        });
+
+        this.sphereBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.sphereInput.click();
+        });
+
         this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        this.folderInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        this.sphereInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length > 0) {
+                this.openSphereTool(files);
+            }
+        });
+
+        // Sphere light detection: drag from the sphere centre to its edge
+        this.sphereCanvas.addEventListener('mousedown', (e) => this.startSphereMark(e));
+        this.sphereCanvas.addEventListener('mousemove', (e) => this.updateSphereMark(e));
+        document.addEventListener('mouseup', () => this.endSphereMark());
+        this.detectLightsBtn.addEventListener('click', () => this.detectLights());
+        this.downloadLPBtn.addEventListener('click', () => this.downloadLP());
+        this.buildFromLightsBtn.addEventListener('click', () => this.buildFromDetectedLights());
+        this.sphereBackBtn.addEventListener('click', () => this.showUploadSection());
 
         // Drag and drop events
         this.uploadArea.addEventListener('dragover', (e) => {
@@ -74,18 +177,20 @@ class RTIViewerApp {
             this.uploadArea.classList.remove('dragover');
         });
 
-        this.uploadArea.addEventListener('drop', (e) => {
+        this.uploadArea.addEventListener('drop', async (e) => {
             e.preventDefault();
             this.uploadArea.classList.remove('dragover');
-            const files = e.dataTransfer.files;
+            const files = await this.getDroppedFiles(e.dataTransfer);
             if (files.length > 0) {
-                this.loadFile(files[0]);
+                this.loadFiles(files);
             }
         });
 
         // Demo button
         this.loadDemoBtn.addEventListener('click', () => this.loadDemo());
 
+        this.diagnosticClose.addEventListener('click', () => this.hideDiagnostic());
+
         // Light control events
         this.lightControl.addEventListener('mousedown', (e) => this.startLightDrag(e));
         document.addEventListener('mousemove', (e) => this.handleLightDrag(e));
@@ -96,62 +201,460 @@ class RTIViewerApp {
         document.addEventListener('touchmove', (e) => this.handleLightDrag(e));
         document.addEventListener('touchend', () => this.endLightDrag());
 
-        // View mode buttons
-        this.modeButtons.forEach(btn => {
-            btn.addEventListener('click', () => this.setViewMode(btn.dataset.mode));
+        // Adding, removing and editing lights
+        this.addLightBtn.addEventListener('click', () => this.addLight());
+        this.removeLightBtn.addEventListener('click', () => this.removeLight());
+        this.lightColorInput.addEventListener('input', (e) => {
+            this.updateSelectedLight({ color: this.hexToRGB(e.target.value).map(value => value / 255) });
+        });
+        this.lightIntensitySlider.addEventListener('input', (e) => {
+            this.updateSelectedLight({ intensity: parseFloat(e.target.value) });
         });
 
-        // Sliders
-        this.specularSlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.specularValue.textContent = value.toFixed(1);
-            if (this.renderer) {
-                this.renderer.setSpecularEnhancement(value);
+        // Light direction as X/Y or as azimuth and elevation
+        this.lightInputSelect.addEventListener('change', (e) => {
+            const angles = e.target.value === 'angles';
+            this.lightPositionDisplay.style.display = angles ? 'none' : 'flex';
+            this.lightAngleInputs.style.display = angles ? 'flex' : 'none';
+        });
+        [this.lightAzimuthInput, this.lightElevationInput].forEach(input => {
+            input.addEventListener('change', () => this.setLightAngles());
+        });
+
+        // Point lights: distance, spot cone and placing them on the image
+        this.lightTypeSelect.addEventListener('change', (e) => {
+            this.updateSelectedLight({ type: e.target.value });
+        });
+        this.lampDistanceSlider.addEventListener('input', (e) => {
+            this.updateSelectedLight({ distance: parseFloat(e.target.value) });
+        });
+        this.spotAngleSlider.addEventListener('input', (e) => {
+            this.updateSelectedLight({ spotAngle: parseFloat(e.target.value) });
+        });
+        this.placeLampCheckbox.addEventListener('change', () => this.buildLightControls());
+        this.buildLightControls();
+
+        // Zoom and pan: wheel and pinch zoom, drag to pan. Listeners sit on the
+        // container because the canvas is replaced when falling back to software rendering.
+        this.viewerContainer.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.viewerContainer.addEventListener('pointerdown', (e) => this.startPan(e));
+        this.viewerContainer.addEventListener('pointermove', (e) => this.handlePan(e));
+        this.viewerContainer.addEventListener('pointerup', (e) => this.endPan(e));
+        this.viewerContainer.addEventListener('pointercancel', (e) => this.endPan(e));
+        this.fitViewBtn.addEventListener('click', () => this.updateView(view => view.fit()));
+        this.actualSizeBtn.addEventListener('click', () => this.updateView(view => view.actualSize()));
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.updateViewportSize()).observe(this.viewerContainer);
+        } else {
+            window.addEventListener('resize', () => this.updateViewportSize());
+        }
+
+        // View mode buttons, one per registered mode
+        this.buildModeButtons();
+        this.setViewMode('default');
+
+        // Normal estimation method for PTM data
+        this.normalMethodSelect.addEventListener('change', (e) => {
+            if (this.renderer && this.ptmData && this.ptmData.coefficients) {
+                const { coefficients, width, height } = this.ptmData;
+                this.renderer.setNormals(this.parser.computeNormals(coefficients, width, height, e.target.value));
             }
         });
 
-        this.diffuseSlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.diffuseValue.textContent = value.toFixed(1);
+        // Base colour for luminance-only files
+        this.baseColorInput.addEventListener('input', (e) => {
             if (this.renderer) {
-                this.renderer.setDiffuseGain(value);
+                this.renderer.setBaseColor(this.hexToRGB(e.target.value));
             }
         });
 
+        // Export
+        this.exportPTMBtn.addEventListener('click', () => this.exportPTM());
+        this.exportImageBtn.addEventListener('click', () => this.exportImage());
+
         // New file button
         this.newFileBtn.addEventListener('click', () => this.showUploadSection());
+
+        // Cancel a load in progress
+        this.cancelLoadBtn.addEventListener('click', () => this.cancelLoad());
     }
 
     /**
      * Handle file selection from input
      */
     handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.loadFile(file);
+        const files = Array.from(event.target.files);
+        if (files.length > 0) {
+            this.loadFiles(files);
+        }
+    }
+
+    /**
+     * Collect dropped files, descending into dropped folders
+     */
+    async getDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(entry => entry);
+
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files);
+        }
+
+        const files = [];
+        const visit = async (entry) => {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                let batch;
+                // readEntries returns directory contents in batches until empty
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) {
+                        await visit(child);
+                    }
+                } while (batch.length > 0);
+            }
+        };
+
+        for (const entry of entries) {
+            await visit(entry);
+        }
+        return files;
+    }
+
+    /**
+     * Load a single PTM/RTI file, or a multi-file Relight dataset
+     */
+    loadFiles(files) {
+        if (files.some(file => file.name.toLowerCase().endsWith('.lp'))) {
+            this.buildPTM(files);
+        } else if (this.relightLoader.isDataset(files)) {
+            this.loadRelight(files);
+        } else if (files.length > 1 && files.every(file => /\.(jpe?g|png)$/i.test(file.name))) {
+            // A stack of captures without light positions: find them first
+            this.openSphereTool(files);
+        } else {
+            this.loadFile(files[0]);
+        }
+    }
+
+    /**
+     * Build a PTM from captures and their .lp light positions, then view it
+     * @param {Array<File>} files - The .lp file and the JPEG/PNG captures it lists
+     */
+    async buildPTM(files) {
+        const lpFile = files.find(file => file.name.toLowerCase().endsWith('.lp'));
+
+        this.hideDiagnostic();
+        this.showLoading(true);
+
+        let cancelled = false;
+        this.cancelCurrentLoad = () => {
+            cancelled = true;
+        };
+        this.cancelLoadBtn.style.display = 'inline-block';
+
+        try {
+            const entries = this.fitter.parseLP(await lpFile.text());
+
+            // .lp files usually list full capture paths; match on the file name
+            const byName = new Map(files.map(file => [file.name.toLowerCase(), file]));
+            const captures = entries.map(entry => {
+                const name = entry.file.split(/[\\/]/).pop().toLowerCase();
+                const file = byName.get(name);
+                if (!file) {
+                    throw new Error(`Capture "${name}" listed in ${lpFile.name} was not selected`);
+                }
+                return file;
+            });
+
+            let first = await this.fitter.decodeImage(captures[0]);
+            const { width, height } = first;
+
+            const ptmData = await this.fitter.fit(
+                entries.map(entry => entry.direction),
+                width,
+                height,
+                async (k) => {
+                    if (cancelled) {
+                        throw this.abortError();
+                    }
+                    if (k === 0) {
+                        const data = first.data;
+                        first = null;
+                        return data;
+                    }
+                    return (await this.fitter.decodeImage(captures[k])).data;
+                },
+                (done, total) => this.showProgress(done, total)
+            );
+
+            if (cancelled) {
+                throw this.abortError();
+            }
+
+            this.fileName = lpFile.name.replace(/\.[^.]+$/, '');
+            this.sourceFileName = lpFile.name;
+            this.initViewer(ptmData);
+            this.showViewerSection();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('PTM build cancelled');
+                return;
+            }
+            console.error('Error building PTM:', error);
+            this.showDiagnostic('Could not build PTM', error, lpFile.name);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Show the first capture so the user can mark the reflective sphere
+     * @param {Array<File>} files - JPEG/PNG captures
+     */
+    async openSphereTool(files) {
+        files = files.slice().sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+        try {
+            const bitmap = await createImageBitmap(files[0]);
+            this.sphereCanvas.width = bitmap.width;
+            this.sphereCanvas.height = bitmap.height;
+
+            this.closeSphereTool();
+            this.sphereTool = { files, bitmap, sphere: null, marking: false, entries: null };
+            this.drawSphereTool();
+
+            this.sphereStatus.textContent = `${files.length} captures. Mark the sphere on ${files[0].name}.`;
+            this.detectLightsBtn.disabled = true;
+            this.downloadLPBtn.disabled = true;
+            this.buildFromLightsBtn.disabled = true;
+
+            this.hideDiagnostic();
+            this.uploadSection.style.display = 'none';
+            this.viewerSection.style.display = 'none';
+            this.sphereSection.style.display = 'flex';
+        } catch (error) {
+            console.error('Error opening captures:', error);
+            this.showDiagnostic('Could not open captures', error, files[0].name);
+        }
+    }
+
+    /**
+     * Convert a mouse event to full-resolution image coordinates
+     */
+    sphereImagePoint(event) {
+        const rect = this.sphereCanvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) / rect.width * this.sphereCanvas.width,
+            y: (event.clientY - rect.top) / rect.height * this.sphereCanvas.height
+        };
+    }
+
+    /**
+     * Start marking the sphere at its centre
+     */
+    startSphereMark(event) {
+        if (!this.sphereTool) return;
+        event.preventDefault();
+
+        const center = this.sphereImagePoint(event);
+        this.sphereTool.sphere = { x: center.x, y: center.y, r: 0 };
+        this.sphereTool.marking = true;
+        this.drawSphereTool();
+    }
+
+    /**
+     * Grow the sphere outline to the mouse position
+     */
+    updateSphereMark(event) {
+        if (!this.sphereTool || !this.sphereTool.marking) return;
+
+        const point = this.sphereImagePoint(event);
+        const sphere = this.sphereTool.sphere;
+        sphere.r = Math.hypot(point.x - sphere.x, point.y - sphere.y);
+        this.drawSphereTool();
+    }
+
+    /**
+     * Finish marking; tiny circles (plain clicks) are ignored
+     */
+    endSphereMark() {
+        if (!this.sphereTool || !this.sphereTool.marking) return;
+
+        this.sphereTool.marking = false;
+        const sphere = this.sphereTool.sphere;
+        const marked = sphere.r >= 3;
+        this.detectLightsBtn.disabled = !marked;
+        if (marked) {
+            this.sphereStatus.textContent =
+                `Sphere at (${sphere.x.toFixed(0)}, ${sphere.y.toFixed(0)}), radius ${sphere.r.toFixed(0)} px`;
+        }
+    }
+
+    /**
+     * Draw the capture with the marked sphere and any detected highlight
+     */
+    drawSphereTool() {
+        const { bitmap, sphere } = this.sphereTool;
+        const ctx = this.sphereCanvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+
+        if (sphere && sphere.r > 0) {
+            // Keep the outline about 2 screen pixels wide however large the image
+            const lineWidth = 2 * this.sphereCanvas.width / (this.sphereCanvas.clientWidth || this.sphereCanvas.width);
+            ctx.strokeStyle = '#38bdf8';
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            ctx.arc(sphere.x, sphere.y, sphere.r, 0, 2 * Math.PI);
+            ctx.stroke();
+
+            const direction = this.sphereTool.entries && this.sphereTool.entries[0].direction;
+            if (direction) {
+                // Highlight implied by the detected light of the first capture
+                const nx = direction[0], ny = direction[1], nz = direction[2] + 1;
+                const length = Math.hypot(nx, ny, nz) || 1;
+                ctx.fillStyle = '#f59e0b';
+                ctx.beginPath();
+                ctx.arc(sphere.x + nx / length * sphere.r, sphere.y - ny / length * sphere.r, 3 * lineWidth, 0, 2 * Math.PI);
+                ctx.fill();
+            }
         }
     }
 
     /**
-     * Load a PTM file
+     * Find the light direction of every capture from its sphere highlight
+     */
+    async detectLights() {
+        const { files, sphere } = this.sphereTool;
+
+        this.showLoading(true);
+        let cancelled = false;
+        this.cancelCurrentLoad = () => {
+            cancelled = true;
+        };
+        this.cancelLoadBtn.style.display = 'inline-block';
+
+        try {
+            const entries = [];
+            for (let i = 0; i < files.length; i++) {
+                if (cancelled) {
+                    this.sphereStatus.textContent = 'Detection cancelled';
+                    return;
+                }
+                const direction = await this.sphereDetector.detect(files[i], sphere);
+                entries.push({ file: files[i].name, direction });
+                this.showProgress(i + 1, files.length);
+            }
+
+            this.sphereTool.entries = entries;
+            this.drawSphereTool();
+            this.sphereStatus.textContent = `Detected ${entries.length} light directions`;
+            this.downloadLPBtn.disabled = false;
+            this.buildFromLightsBtn.disabled = entries.length < 6;
+        } catch (error) {
+            console.error('Error detecting lights:', error);
+            this.sphereStatus.textContent = error.message;
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * The detected light positions as an .lp file
+     */
+    detectedLPFile() {
+        const text = this.fitter.formatLP(this.sphereTool.entries);
+        return new File([text], 'lights.lp', { type: 'text/plain' });
+    }
+
+    /**
+     * Download the detected light positions
+     */
+    downloadLP() {
+        this.downloadBlob(this.detectedLPFile(), 'lights.lp');
+    }
+
+    /**
+     * Fit a PTM from the captures using the detected light positions
+     */
+    buildFromDetectedLights() {
+        const files = [this.detectedLPFile(), ...this.sphereTool.files];
+
+        // The capture preview is done with; a cancelled build returns to the upload page
+        this.showUploadSection();
+        this.buildPTM(files);
+    }
+
+    /**
+     * Release the sphere tool and the full-resolution capture it shows
+     */
+    closeSphereTool() {
+        if (this.sphereTool) {
+            this.sphereTool.bitmap.close();
+            this.sphereTool = null;
+        }
+    }
+
+    /**
+     * Load a Relight dataset (info.json + plane images)
+     */
+    async loadRelight(files) {
+        this.hideDiagnostic();
+        this.showLoading(true);
+
+        try {
+            const ptmData = await this.relightLoader.load(files);
+            this.fileName = 'relight';
+            this.sourceFileName = 'info.json';
+
+            this.initViewer(ptmData);
+            this.showViewerSection();
+        } catch (error) {
+            console.error('Error loading Relight dataset:', error);
+            this.showDiagnostic('Could not load Relight dataset', error, files.map(file => file.name).join(', '));
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Load a PTM or RTI (HSH) file
      */
     async loadFile(file) {
-        if (!file.name.toLowerCase().endsWith('.ptm')) {
-            alert('Please select a PTM file (.ptm)');
+        const name = file.name.toLowerCase();
+        let kind;
+        if (name.endsWith('.ptm')) {
+            kind = 'ptm';
+        } else if (name.endsWith('.rti')) {
+            kind = 'rti';
+        } else {
+            this.showDiagnostic('Unsupported file type',
+                new Error('Please select a PTM (.ptm) or RTI (.rti) file, or a Relight folder'), file.name);
             return;
         }
 
+        this.hideDiagnostic();
         this.showLoading(true);
 
         try {
             const buffer = await file.arrayBuffer();
-            const ptmData = await this.parser.parse(buffer);
+            const ptmData = await this.parseBuffer(buffer, kind);
+            this.fileName = file.name.replace(/\.[^.]+$/, '');
+            this.sourceFileName = file.name;
 
             this.initViewer(ptmData);
             this.showViewerSection();
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Loading cancelled');
+                return;
+            }
             console.error('Error loading PTM file:', error);
-            alert('Error loading PTM file: ' + error.message);
+            this.showDiagnostic('Could not load file', error, file.name);
         } finally {
             this.showLoading(false);
         }
@@ -161,6 +664,7 @@ class RTIViewerApp {
      * Load demo PTM data (Athenian Tetradrachm)
      */
     async loadDemo() {
+        this.hideDiagnostic();
         this.showLoading(true);
 
         try {
@@ -169,18 +673,129 @@ class RTIViewerApp {
                 throw new Error('Failed to load demo file');
             }
             const buffer = await response.arrayBuffer();
-            const ptmData = await this.parser.parse(buffer);
+            const ptmData = await this.parseBuffer(buffer, 'ptm');
+            this.fileName = 'Athenian_Tetradrachma_Obv';
+            this.sourceFileName = 'Athenian_Tetradrachma_Obv.ptm';
 
             this.initViewer(ptmData);
             this.showViewerSection();
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Loading cancelled');
+                return;
+            }
             console.error('Error loading demo:', error);
-            alert('Error loading demo: ' + error.message);
+            this.showDiagnostic('Could not load demo', error, 'Athenian_Tetradrachma_Obv.ptm');
         } finally {
             this.showLoading(false);
         }
     }
 
+    /**
+     * Parse a PTM or RTI file in a Web Worker, reporting progress to the
+     * loading overlay. Falls back to the main thread where workers are not
+     * available (e.g. pages opened from file://).
+     * @param {ArrayBuffer} buffer - File data
+     * @param {string} kind - 'ptm' or 'rti'
+     * @returns {Promise<Object>} Parsed data; rejects with an AbortError if cancelled
+     */
+    parseBuffer(buffer, kind) {
+        return new Promise((resolve, reject) => {
+            const fallBack = (error) => {
+                console.warn('Web Worker unavailable, parsing on the main thread:', error);
+                this.parseOnMainThread(buffer, kind).then(resolve, reject);
+            };
+
+            this.cancelCurrentLoad = () => {
+                this.stopWorker();
+                reject(this.abortError());
+            };
+            this.cancelLoadBtn.style.display = 'inline-block';
+
+            let worker;
+            try {
+                worker = new Worker('js/ptm-worker.js');
+            } catch (error) {
+                fallBack(error);
+                return;
+            }
+            this.worker = worker;
+
+            let ready = false;
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'ready') {
+                    // Only hand the buffer over once the worker has loaded, so
+                    // it is still usable for a main-thread fallback until then
+                    ready = true;
+                    worker.postMessage({ buffer, kind }, [buffer]);
+                } else if (message.type === 'progress') {
+                    this.showProgress(message.loaded, message.total);
+                } else if (message.type === 'result') {
+                    this.stopWorker();
+                    resolve(message.data);
+                } else {
+                    this.stopWorker();
+                    reject(message.name === 'PTMParseError'
+                        ? new PTMParseError(message.code, message.message, message.offset)
+                        : new Error(message.message));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.stopWorker();
+                if (ready) {
+                    reject(new Error(event.message));
+                } else {
+                    fallBack(event.message);
+                }
+            };
+        });
+    }
+
+    /**
+     * Parse on the main thread (no Web Worker support)
+     */
+    async parseOnMainThread(buffer, kind) {
+        const parser = kind === 'rti' ? this.rtiParser : this.parser;
+        parser.onProgress = (loaded, total) => this.showProgress(loaded, total);
+
+        try {
+            return await parser.parse(buffer);
+        } finally {
+            parser.onProgress = null;
+        }
+    }
+
+    /**
+     * Terminate the parsing worker, if any
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Error used to signal a cancelled load
+     */
+    abortError() {
+        const error = new Error('Loading cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Cancel the load in progress
+     */
+    cancelLoad() {
+        if (this.cancelCurrentLoad) {
+            this.cancelCurrentLoad();
+        }
+    }
+
     /**
      * Initialize the WebGL renderer with PTM data
      */
@@ -194,8 +809,10 @@ class RTIViewerApp {
         console.log('First 20 RGB values:', Array.from(ptmData.rgb.slice(0, 20)));
 
         // Debug: Check coefficient data
-        console.log('Coefficients arrays:', ptmData.coefficients.length);
-        if (ptmData.coefficients[0]) {
+        if (ptmData.planes) {
+            console.log('Basis:', ptmData.basis, ptmData.colorspace, 'planes:', ptmData.planes.length);
+        } else if (ptmData.coefficients[0]) {
+            console.log('Coefficients arrays:', ptmData.coefficients.length);
             console.log('Coeff[0] length:', ptmData.coefficients[0].length);
             console.log('First 10 coeff[5] values (a5/constant):', Array.from(ptmData.coefficients[5].slice(0, 10)));
         }
@@ -205,43 +822,305 @@ class RTIViewerApp {
             this.renderer.dispose();
         }
 
-        // Create new renderer
+        // Create new renderer, falling back to the CPU when WebGL is missing or fails
         try {
-            this.renderer = new RTIRenderer(this.canvas);
-            console.log('Renderer created successfully');
-            console.log('Canvas size:', this.canvas.width, 'x', this.canvas.height);
-
-            this.renderer.loadPTM(ptmData);
-            console.log('PTM loaded into renderer');
-
-            // Debug: Draw a test pattern to verify WebGL is working
-            // this.renderer.drawTestPattern();
+            this.renderer = this.createRenderer(ptmData);
         } catch (error) {
             console.error('Error creating renderer:', error);
-            alert('WebGL Error: ' + error.message);
+            alert('Renderer Error: ' + error.message);
             return;
         }
 
+        // Fit the image to the viewer
+        this.view = new ViewTransform(ptmData.width, ptmData.height);
+        this.updateViewportSize();
+
         // Update info display
+        this.rendererType.textContent = this.renderer instanceof SoftwareRenderer ? 'Software (CPU)' : 'WebGL';
         this.imageDimensions.textContent = `${ptmData.width} x ${ptmData.height}`;
-        this.imageFormat.textContent = ptmData.format;
+        this.imageFormat.textContent = ptmData.order
+            ? `${ptmData.format} (order ${ptmData.order})`
+            : ptmData.format;
+
+        this.ptmData = ptmData;
+
+        // Only PTM data can be exported as a PTM; every dataset can be exported as an image
+        this.exportPTMControl.style.display = ptmData.coefficients ? 'flex' : 'none';
+        this.exportFormatSelect.value = ptmData.channelCoefficients ? 'PTM_FORMAT_RGB' : 'PTM_FORMAT_LRGB';
+
+        // PTM normals can be re-estimated; other bases fit theirs by photometric stereo
+        this.normalMethodGroup.style.display = ptmData.coefficients ? 'block' : 'none';
+        this.normalMethodSelect.value = 'malzbender';
+
+        // Lamps cannot vary the direction of sampled (RBF, bilinear) bases per pixel
+        this.lampBasisHint.style.display = ptmData.planes && !RTIBasis.hasClosedForm(ptmData) ? 'block' : 'none';
+
+        // Only luminance-only files can be tinted
+        const isLuminanceOnly = ptmData.format === 'PTM_FORMAT_LUM';
+        this.baseColorGroup.style.display = isLuminanceOnly ? 'block' : 'none';
+        if (isLuminanceOnly) {
+            this.baseColorInput.value = '#ffffff';
+        }
+
+        // Disable modes the renderer cannot show for this data (the software
+        // renderer needs a CPU implementation; diffuse gain needs a PTM)
+        this.modeButtons.forEach(btn => {
+            btn.disabled = !this.renderer.supportsMode(btn.dataset.mode);
+        });
 
-        // Reset controls
-        this.setLightPosition(0, 0);
+        // Reset controls (a new renderer starts from one light and the mode defaults)
+        this.lights = [Lights.create()];
+        this.selectedLight = 0;
+        this.buildLightControls();
         this.setViewMode('default');
-        this.specularSlider.value = 1;
-        this.specularValue.textContent = '1.0';
-        this.diffuseSlider.value = 1;
-        this.diffuseValue.textContent = '1.0';
 
         console.log('=== initViewer complete ===');
     }
 
+    /**
+     * Create a renderer and load the data into it
+     * Uses WebGL when it works, and the Canvas 2D SoftwareRenderer otherwise.
+     */
+    createRenderer(ptmData) {
+        if (!this.webglUnavailable) {
+            // A canvas holding a 2D context from an earlier fallback cannot get a WebGL one
+            if (this.renderer instanceof SoftwareRenderer) {
+                this.replaceCanvas();
+            }
+
+            let renderer = null;
+            try {
+                renderer = new RTIRenderer(this.canvas);
+                console.log('Renderer created successfully');
+                console.log('Canvas size:', this.canvas.width, 'x', this.canvas.height);
+
+                renderer.loadPTM(ptmData);
+                console.log('PTM loaded into renderer');
+                return renderer;
+            } catch (error) {
+                console.warn('WebGL renderer failed, falling back to software rendering:', error.message);
+                if (renderer) {
+                    // The canvas is bound to its WebGL context; a 2D context needs a fresh canvas
+                    renderer.dispose();
+                    this.replaceCanvas();
+                } else {
+                    this.webglUnavailable = true;
+                }
+            }
+        }
+
+        const renderer = new SoftwareRenderer(this.canvas);
+        renderer.loadPTM(ptmData);
+        console.log('PTM loaded into software renderer');
+        return renderer;
+    }
+
+    /**
+     * Swap the viewer canvas for a fresh one with no rendering context
+     */
+    replaceCanvas() {
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+    }
+
+    /**
+     * Match the canvas to the viewer's on-screen size, in device pixels
+     */
+    updateViewportSize() {
+        if (!this.renderer || !this.view) return;
+
+        // Hidden viewers have no size yet; showViewerSection calls this again
+        const width = this.viewerContainer.clientWidth;
+        const height = this.viewerContainer.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        this.view.setViewportSize(Math.round(width * ratio), Math.round(height * ratio));
+        this.renderer.setViewportSize(this.view.viewportWidth, this.view.viewportHeight);
+        this.updateView();
+    }
+
+    /**
+     * Apply a change to the view transform and redraw
+     * @param {Function} change - Optional (view) => void applied first
+     */
+    updateView(change) {
+        if (!this.renderer || !this.view) return;
+
+        if (change) {
+            change(this.view);
+        }
+        this.renderer.setView(this.view);
+        this.zoomLevel.textContent = `${Math.round(this.view.zoom * 100)}%`;
+        this.placeLampMarkers();
+    }
+
+    /**
+     * Position of a pointer or wheel event in canvas pixels
+     */
+    canvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [
+            (event.clientX - rect.left) * this.canvas.width / rect.width,
+            (event.clientY - rect.top) * this.canvas.height / rect.height
+        ];
+    }
+
+    /**
+     * Zoom with the mouse wheel around the cursor
+     */
+    handleWheel(event) {
+        if (event.target !== this.canvas || !this.view) return;
+        event.preventDefault();
+
+        const [x, y] = this.canvasPoint(event);
+        this.updateView(view => view.zoomAt(Math.exp(-event.deltaY * 0.002), x, y));
+    }
+
+    /**
+     * Start panning (one pointer) or pinching (two pointers) on the canvas
+     */
+    startPan(event) {
+        if (event.target !== this.canvas || !this.view || this.lampDrag) return;
+        event.preventDefault();
+
+        // With a point light selected, a drag places it (or, with Shift, aims it)
+        if (this.isPlacingLamp() && this.pointers.size === 0) {
+            this.canvas.setPointerCapture(event.pointerId);
+            this.lampDrag = { pointerId: event.pointerId };
+            this.moveLamp(event);
+            return;
+        }
+
+        this.canvas.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, this.canvasPoint(event));
+        this.canvas.classList.add('panning');
+    }
+
+    /**
+     * Pan by the pointer movement; with two pointers, also zoom by the change in their spread
+     */
+    handlePan(event) {
+        if (this.lampDrag && this.lampDrag.pointerId === event.pointerId) {
+            this.moveLamp(event);
+            return;
+        }
+        if (!this.pointers.has(event.pointerId)) return;
+
+        const previous = [...this.pointers.values()];
+        this.pointers.set(event.pointerId, this.canvasPoint(event));
+        const current = [...this.pointers.values()];
+
+        // Follow the midpoint of the active pointers
+        const midpoint = (points) => [
+            points.reduce((sum, p) => sum + p[0], 0) / points.length,
+            points.reduce((sum, p) => sum + p[1], 0) / points.length
+        ];
+        const [x0, y0] = midpoint(previous);
+        const [x1, y1] = midpoint(current);
+
+        this.updateView(view => {
+            view.panBy(x1 - x0, y1 - y0);
+
+            if (current.length === 2) {
+                const spread = (points) => Math.hypot(points[0][0] - points[1][0], points[0][1] - points[1][1]);
+                const before = spread(previous);
+                if (before > 0) {
+                    view.zoomAt(spread(current) / before, x1, y1);
+                }
+            }
+        });
+    }
+
+    /**
+     * Stop tracking a pointer
+     */
+    endPan(event) {
+        if (this.lampDrag && this.lampDrag.pointerId === event.pointerId) {
+            this.lampDrag = null;
+            return;
+        }
+        if (!this.pointers.delete(event.pointerId)) return;
+
+        if (this.pointers.size === 0) {
+            this.canvas.classList.remove('panning');
+        }
+    }
+
+    /**
+     * Whether drags on the image place the selected light rather than pan
+     */
+    isPlacingLamp() {
+        return this.lights[this.selectedLight].type === 'point' && this.placeLampCheckbox.checked;
+    }
+
+    /**
+     * Stand the selected point light over the pointer, keeping its height,
+     * or with Shift held aim it at the pointer, keeping the lamp where it is
+     */
+    moveLamp(event) {
+        const { width, height } = this.ptmData;
+        const [x, y] = this.view.viewportToImage(...this.canvasPoint(event));
+        const light = this.lights[this.selectedLight];
+        Object.assign(light, event.shiftKey
+            ? Lights.aimLamp(light, x, y, width, height)
+            : Lights.placeLamp(light, x, y, width, height));
+
+        this.renderer.setLights(this.lights);
+        this.placeLightHandle(this.selectedLight);
+        this.showLightDirection();
+        this.placeLampMarkers();
+        this.lampDistanceSlider.value = light.distance;
+        this.lampDistanceValue.textContent = light.distance.toFixed(2);
+    }
+
+    /**
+     * Mark where each point light stands over the image, and the selected one's target
+     */
+    placeLampMarkers() {
+        this.lampMarkers.innerHTML = '';
+        if (!this.view || !this.ptmData) return;
+
+        // Viewport pixels to CSS pixels of the container
+        const ratio = this.canvas.clientWidth / this.canvas.width;
+        const { width, height } = this.ptmData;
+        const addMarker = (className, x, y) => {
+            const placed = this.view.imageRect({ x, y, width: 0, height: 0 });
+            const marker = document.createElement('div');
+            marker.className = className;
+            marker.style.left = `${placed.x * ratio}px`;
+            marker.style.top = `${placed.y * ratio}px`;
+            this.lampMarkers.appendChild(marker);
+            return marker;
+        };
+
+        this.lights.forEach((light, index) => {
+            const lamp = Lights.lamp(light, width, height);
+            if (!lamp) return;
+
+            const marker = addMarker('lamp-marker', lamp.position[0], lamp.position[1]);
+            marker.style.background = this.rgbToHex(light.color.map(value => value * 255));
+            marker.textContent = this.lights.length > 1 ? index + 1 : '';
+            if (index === this.selectedLight) {
+                marker.classList.add('selected');
+                addMarker('lamp-target', light.target[0] * width, light.target[1] * height);
+            }
+        });
+    }
+
     /**
      * Start dragging the light control
+     * Pressing a light's handle selects that light; elsewhere the selected light jumps there.
      */
     startLightDrag(event) {
         event.preventDefault();
+        const handle = event.target.closest('.light-indicator');
+        if (handle) {
+            this.selectLight(Number(handle.dataset.index));
+        }
+        const light = this.lights[this.selectedLight];
+        this.lockedElevation = Lights.toAngles(light.x, light.y).elevation;
         this.isDragging = true;
         this.updateLightFromEvent(event);
     }
@@ -292,51 +1171,461 @@ class RTIViewerApp {
             y /= mag;
         }
 
+        // Sweep round at the elevation the drag started from
+        if (this.lockElevationCheckbox.checked) {
+            ({ x, y } = Lights.fromAngles(Math.atan2(y, x) * 180 / Math.PI, this.lockedElevation));
+        }
+
         this.setLightPosition(x, y);
     }
 
     /**
-     * Set light position and update UI
+     * Set the selected light's position and update UI
      */
     setLightPosition(x, y) {
-        // Update indicator position
-        const radius = this.lightControl.offsetWidth / 2;
-        const indicatorX = 50 + x * 45; // Percentage from center
-        const indicatorY = 50 - y * 45; // Flip Y and convert to percentage
+        const light = this.lights[this.selectedLight];
+        light.x = x;
+        light.y = y;
+        this.placeLightHandle(this.selectedLight);
+        this.showLightDirection();
+        this.placeLampMarkers();
 
-        this.lightIndicator.style.left = `${indicatorX}%`;
-        this.lightIndicator.style.top = `${indicatorY}%`;
+        // Update renderer
+        if (this.renderer) {
+            this.renderer.setLightDirection(x, y, this.selectedLight);
+        }
+    }
 
-        // Update display
-        this.lightXDisplay.textContent = x.toFixed(2);
-        this.lightYDisplay.textContent = y.toFixed(2);
+    /**
+     * Set the selected light's direction from the azimuth and elevation inputs
+     */
+    setLightAngles() {
+        const azimuth = parseFloat(this.lightAzimuthInput.value);
+        const elevation = parseFloat(this.lightElevationInput.value);
+        if (!Number.isFinite(azimuth) || !Number.isFinite(elevation)) {
+            this.showLightDirection();
+            return;
+        }
 
-        // Update renderer
+        const { x, y } = Lights.fromAngles(azimuth, elevation);
+        this.setLightPosition(x, y);
+    }
+
+    /**
+     * Show the selected light's direction as X/Y and as angles, and redraw the hemisphere
+     */
+    showLightDirection() {
+        const light = this.lights[this.selectedLight];
+        const { azimuth, elevation } = Lights.toAngles(light.x, light.y);
+        this.lightXDisplay.textContent = light.x.toFixed(2);
+        this.lightYDisplay.textContent = light.y.toFixed(2);
+        this.lightAzimuthInput.value = Math.round(azimuth) % 360;
+        this.lightElevationInput.value = Math.round(elevation);
+        this.hemisphereView.draw(this.lights, this.selectedLight);
+    }
+
+    /**
+     * Move a light's handle to its direction in the light control
+     */
+    placeLightHandle(index) {
+        const light = this.lights[index];
+        const handle = this.lightHandles[index];
+        handle.style.left = `${50 + light.x * 45}%`; // Percentage from center
+        handle.style.top = `${50 - light.y * 45}%`; // Flip Y and convert to percentage
+    }
+
+    /**
+     * Rebuild the light handles and the light list, and show the selected light's settings
+     */
+    buildLightControls() {
+        this.lightHandles.forEach(handle => handle.remove());
+        this.lightList.innerHTML = '';
+
+        this.lightHandles = this.lights.map((light, index) => {
+            const color = this.rgbToHex(light.color.map(value => value * 255));
+
+            const handle = document.createElement('div');
+            handle.className = 'light-indicator';
+            handle.classList.toggle('selected', index === this.selectedLight && this.lights.length > 1);
+            handle.dataset.index = index;
+            handle.textContent = this.lights.length > 1 ? index + 1 : '';
+            handle.style.background = color;
+            handle.style.boxShadow = `0 0 10px ${color}`;
+            this.lightControl.appendChild(handle);
+
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.classList.toggle('active', index === this.selectedLight);
+            const swatch = document.createElement('span');
+            swatch.className = 'light-swatch';
+            swatch.style.background = color;
+            btn.append(swatch, `Light ${index + 1}`);
+            btn.addEventListener('click', () => this.selectLight(index));
+            this.lightList.appendChild(btn);
+
+            return handle;
+        });
+        this.lightHandles.forEach((handle, index) => this.placeLightHandle(index));
+
+        const light = this.lights[this.selectedLight];
+        this.showLightDirection();
+        this.lightColorInput.value = this.rgbToHex(light.color.map(value => value * 255));
+        this.lightIntensitySlider.value = light.intensity;
+        this.lightIntensityValue.textContent = light.intensity.toFixed(2);
+        this.lightTypeSelect.value = light.type;
+        this.lampControls.style.display = light.type === 'point' ? 'block' : 'none';
+        this.lampDistanceSlider.value = light.distance;
+        this.lampDistanceValue.textContent = light.distance.toFixed(2);
+        this.spotAngleSlider.value = light.spotAngle;
+        this.spotAngleValue.textContent = light.spotAngle > 0 ? `${light.spotAngle}°` : 'Off';
+        this.canvas.classList.toggle('placing-lamp', this.isPlacingLamp());
+        this.placeLampMarkers();
+        this.addLightBtn.disabled = this.lights.length >= Lights.MAX;
+        this.removeLightBtn.disabled = this.lights.length === 1;
+    }
+
+    /**
+     * Choose the light the control moves and the panel edits
+     */
+    selectLight(index) {
+        if (index === this.selectedLight) return;
+        this.selectedLight = index;
+        this.buildLightControls();
+    }
+
+    /**
+     * Add a light opposite the selected one, as for a pair of raking lights
+     */
+    addLight() {
+        if (this.lights.length >= Lights.MAX) return;
+
+        const selected = this.lights[this.selectedLight];
+        if (this.setLights(this.lights.concat(Lights.create(-selected.x, -selected.y)))) {
+            this.selectLight(this.lights.length - 1);
+        }
+    }
+
+    /**
+     * Remove the selected light (the last one cannot be removed)
+     */
+    removeLight() {
+        if (this.lights.length === 1) return;
+        this.setLights(this.lights.filter((light, index) => index !== this.selectedLight));
+    }
+
+    /**
+     * Change the colour or intensity of the selected light
+     * @param {Object} changes - {color} and/or {intensity}
+     */
+    updateSelectedLight(changes) {
+        Object.assign(this.lights[this.selectedLight], changes);
+        this.setLights(this.lights);
+    }
+
+    /**
+     * Give the renderer a new set of lights and update the light controls
+     * Adding or removing a light recompiles the shader, which may fail on a small GPU.
+     * @returns {boolean} Whether the renderer accepted the lights
+     */
+    setLights(lights) {
         if (this.renderer) {
-            this.renderer.setLightDirection(x, y);
+            try {
+                this.renderer.setLights(lights);
+            } catch (error) {
+                console.error('Error setting lights:', error);
+                alert('Light Error: ' + error.message);
+                return false;
+            }
         }
+
+        this.lights = lights;
+        this.selectedLight = Math.min(this.selectedLight, lights.length - 1);
+        this.buildLightControls();
+        return true;
+    }
+
+    /**
+     * Create a button for every registered view mode
+     * Modes registered from scripts loaded before app.js are included.
+     */
+    buildModeButtons() {
+        this.viewModes.innerHTML = '';
+        this.modeButtons = RenderModes.list().map(mode => {
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.dataset.mode = mode.name;
+            btn.textContent = mode.label;
+            btn.addEventListener('click', () => this.setViewMode(mode.name));
+            this.viewModes.appendChild(btn);
+            return btn;
+        });
+    }
+
+    /**
+     * Show the sliders of a view mode, set to the renderer's current values
+     */
+    buildModeControls(modeName) {
+        const mode = RenderModes.get(modeName);
+        this.modeControls.innerHTML = '';
+        this.modeControlsGroup.style.display = mode.controls.length ? 'block' : 'none';
+
+        mode.controls.forEach(control => {
+            const id = `param-${control.uniform}`;
+            const decimals = (String(control.step).split('.')[1] || '').length;
+            const value = this.renderer
+                ? this.renderer.getParameter(control.uniform)
+                : mode.uniforms[control.uniform].value;
+
+            const row = document.createElement('div');
+            row.className = 'slider-control';
+
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = control.label;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = id;
+            slider.min = control.min;
+            slider.max = control.max;
+            slider.step = control.step;
+            slider.value = value;
+
+            const display = document.createElement('span');
+            display.textContent = value.toFixed(decimals);
+
+            slider.addEventListener('input', () => {
+                const newValue = parseFloat(slider.value);
+                display.textContent = newValue.toFixed(decimals);
+                if (this.renderer) {
+                    this.renderer.setParameter(control.uniform, newValue);
+                }
+                this.buildModeLegend(modeName);
+            });
+
+            row.append(label, slider, display);
+            this.modeControls.appendChild(row);
+        });
+        this.buildModeLegend(modeName);
+    }
+
+    /**
+     * Show the colour bar of a false-colour view mode, for its current range
+     */
+    buildModeLegend(modeName) {
+        const mode = RenderModes.get(modeName);
+        this.modeLegend.innerHTML = '';
+        this.modeLegend.style.display = mode.legend ? 'block' : 'none';
+        if (!mode.legend) return;
+
+        const legend = mode.legend(RenderModes.params(modeName, this.renderer ? this.renderer.params : {}));
+
+        const title = document.createElement('div');
+        title.textContent = legend.title;
+
+        const bar = document.createElement('div');
+        bar.className = 'mode-legend-bar';
+        const stops = legend.colors.map(color => this.rgbToHex(color.map(value => value * 255)));
+        bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+
+        const labels = document.createElement('div');
+        labels.className = 'mode-legend-labels';
+        const min = document.createElement('span');
+        min.textContent = `${legend.min} ${legend.minLabel}`;
+        const max = document.createElement('span');
+        max.textContent = `${legend.maxLabel} ${legend.max}`;
+        labels.append(min, max);
+
+        this.modeLegend.append(title, bar, labels);
     }
 
     /**
      * Set the view mode
      */
     setViewMode(mode) {
+        // Update renderer; a custom mode's shader may fail to compile
+        if (this.renderer) {
+            try {
+                this.renderer.setViewMode(mode);
+            } catch (error) {
+                console.error('Error switching view mode:', error);
+                alert('View Mode Error: ' + error.message);
+                return;
+            }
+        }
+
         // Update button states
         this.modeButtons.forEach(btn => {
             btn.classList.toggle('active', btn.dataset.mode === mode);
         });
+        this.buildModeControls(mode);
+    }
 
-        // Update renderer
-        if (this.renderer) {
-            this.renderer.setViewMode(mode);
+    /**
+     * Save the loaded data as an uncompressed PTM file
+     */
+    exportPTM() {
+        if (!this.ptmData) return;
+
+        try {
+            const format = this.exportFormatSelect.value;
+            const buffer = this.writer.write(this.ptmData, format);
+            const suffix = format === 'PTM_FORMAT_RGB' ? 'rgb' : 'lrgb';
+            this.downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), `${this.fileName}-${suffix}.ptm`);
+        } catch (error) {
+            console.error('Error exporting PTM:', error);
+            alert('Error exporting PTM: ' + error.message);
         }
     }
 
+    /**
+     * Save the relit view as a PNG at native resolution (or a multiple of it)
+     * The light direction, view mode, slider values and source file are stored
+     * as PNG text chunks, so the image can be reproduced later.
+     */
+    async exportImage() {
+        if (!this.ptmData || !this.renderer) return;
+
+        this.exportImageBtn.disabled = true;
+
+        try {
+            const scale = parseFloat(this.imageScaleSelect.value);
+            const { width, height, pixels } = this.renderer.renderImage(scale);
+            console.log(`Exporting ${width}x${height} PNG`);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) {
+                throw new Error(`Could not encode a ${width}x${height} image`);
+            }
+
+            const renderer = this.renderer;
+            const text = {
+                'Source File': this.sourceFileName,
+                'Light Direction': renderer.lights.map(light => {
+                    const { azimuth, elevation } = Lights.toAngles(light.x, light.y);
+                    const direction = `lu=${light.x.toFixed(3)} lv=${light.y.toFixed(3)} azimuth=${azimuth.toFixed(1)} elevation=${elevation.toFixed(1)}`;
+                    if (light.type !== 'point') {
+                        return direction;
+                    }
+                    return `${direction} point distance=${light.distance.toFixed(2)} ` +
+                        `target=${light.target.map(value => value.toFixed(3)).join(',')} spot=${light.spotAngle}`;
+                }).join('; '),
+                'Light Colour': renderer.lights.map(light => this.rgbToHex(light.color.map(value => value * 255))).join('; '),
+                'Light Intensity': renderer.lights.map(light => light.intensity.toFixed(2)).join('; '),
+                'View Mode': renderer.viewMode
+            };
+            RenderModes.get(renderer.viewMode).controls.forEach(control => {
+                text[control.label] = renderer.getParameter(control.uniform);
+            });
+            const legend = RenderModes.describeLegend(renderer.viewMode, renderer.params);
+            if (legend) {
+                text.Legend = legend;
+            }
+            text.Scale = scale;
+            if (this.ptmData.coefficients) {
+                text['Normal Method'] = this.normalMethodSelect.value;
+            }
+            text.Software = 'RTI Viewer';
+
+            const png = PNGMetadata.addText(await blob.arrayBuffer(), text);
+            const suffix = scale === 1 ? 'relit' : `relit-${scale}x`;
+            this.downloadBlob(new Blob([png], { type: 'image/png' }), `${this.fileName}-${suffix}.png`);
+        } catch (error) {
+            console.error('Error exporting image:', error);
+            alert('Error exporting image: ' + error.message);
+        } finally {
+            this.exportImageBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Offer a blob to the user as a file download
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show why a file failed to load
+     * PTMParseErrors also list their error code and byte offset.
+     * @param {string} title - Panel heading
+     * @param {Error} error - The load error
+     * @param {string} fileName - File (or files) being loaded
+     */
+    showDiagnostic(title, error, fileName) {
+        this.diagnosticTitle.textContent = title;
+        this.diagnosticMessage.textContent = error.message;
+
+        const details = [['File', fileName]];
+        if (error instanceof PTMParseError) {
+            details.push(['Error code', error.code]);
+            details.push(['Byte offset', `${error.offset} (0x${error.offset.toString(16)})`]);
+        }
+
+        this.diagnosticDetails.innerHTML = '';
+        details.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            this.diagnosticDetails.append(dt, dd);
+        });
+
+        this.diagnosticPanel.style.display = 'block';
+        this.showUploadSection();
+    }
+
+    /**
+     * Hide the load diagnostic panel
+     */
+    hideDiagnostic() {
+        this.diagnosticPanel.style.display = 'none';
+    }
+
+    /**
+     * Convert a "#rrggbb" colour input value to [r, g, b]
+     */
+    hexToRGB(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    /**
+     * Convert [r, g, b] in 0-255 to a "#rrggbb" colour input value
+     */
+    rgbToHex(rgb) {
+        return '#' + rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+    }
+
     /**
      * Show loading overlay
      */
     showLoading(show) {
         this.loadingOverlay.style.display = show ? 'flex' : 'none';
+        this.loadingProgress.textContent = '';
+        if (!show) {
+            this.cancelCurrentLoad = null;
+            this.cancelLoadBtn.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show parse progress as a percentage of the file's bytes
+     */
+    showProgress(loaded, total) {
+        this.loadingProgress.textContent = `${Math.round(loaded / total * 100)}%`;
     }
 
     /**
@@ -344,7 +1633,9 @@ class RTIViewerApp {
      */
     showViewerSection() {
         this.uploadSection.style.display = 'none';
+        this.sphereSection.style.display = 'none';
         this.viewerSection.style.display = 'flex';
+        this.updateViewportSize();
     }
 
     /**
@@ -352,8 +1643,12 @@ class RTIViewerApp {
      */
     showUploadSection() {
         this.viewerSection.style.display = 'none';
+        this.sphereSection.style.display = 'none';
         this.uploadSection.style.display = 'block';
-        this.fileInput.value = ''; // Reset file input
+        this.fileInput.value = ''; // Reset file inputs
+        this.folderInput.value = '';
+        this.sphereInput.value = '';
+        this.closeSphereTool();
     }
 }
 
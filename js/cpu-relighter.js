@@ -0,0 +1,276 @@
+/**
+ * CPU Relighter
+ *
+ * Evaluates the same relighting model as the RTIRenderer fragment shader,
+ * pixel by pixel in JavaScript, for environments without WebGL (headless
+ * servers, the command-line tool, the Canvas 2D fallback renderer).
+ *
+ * Supports the same data as RTIRenderer.loadPTM: LRGB/LUM PTMs
+ * (coefficients + rgb), RGB PTMs (channelCoefficients) and generic basis
+ * data (planes, see RTIBasis.planeWeights), in every view mode registered
+ * with a CPU implementation (see RenderModes), under one or more lights,
+ * directional or point (see Lights.lamp).
+ */
+
+class CPURelighter {
+    /**
+     * Relight a whole image
+     * @param {Object} ptmData - Parsed data, as passed to RTIRenderer.loadPTM
+     * @param {number} lu - Light direction u (-1 to 1)
+     * @param {number} lv - Light direction v (-1 to 1)
+     * @param {Object} options - {viewMode, lights} plus the mode's parameters by uniform
+     *   name (e.g. diffuseGain, highlightExponent); missing ones take their defaults.
+     *   lights: optional list of lights (see Lights) used instead of a white light at lu, lv
+     * @param {Uint8ClampedArray} output - Optional RGBA buffer to fill
+     * @returns {Uint8ClampedArray} width*height*4 RGBA pixels, top row first
+     */
+    static relight(ptmData, lu, lv, options = {}, output = null) {
+        const pixelCount = ptmData.width * ptmData.height;
+        const rgba = output || new Uint8ClampedArray(pixelCount * 4);
+        CPURelighter.relightRows(ptmData, lu, lv, options, rgba, 0, ptmData.height);
+        return rgba;
+    }
+
+    /**
+     * Relight rows [startRow, endRow) into an RGBA buffer covering the whole image
+     * The mode is evaluated once per light and the results summed, each scaled
+     * by its light's colour and intensity (once, unscaled, for unlit modes).
+     * Modes sampling neighbours get them from at(dx, dy), clamped to the image edge.
+     * Point lights relight from each pixel's own direction to the lamp (sampled
+     * RBF and bilinear bases keep the direction from the target) and scale the
+     * pass by the falloff and spot cone there, as the shader does.
+     */
+    static relightRows(ptmData, lu, lv, options, rgba, startRow, endRow) {
+        const mode = RenderModes.get(options.viewMode || 'default');
+        if (!mode.cpu) {
+            throw new Error(`View mode "${mode.name}" has no CPU implementation`);
+        }
+        const params = RenderModes.params(mode.name, options);
+
+        const { width, height } = ptmData;
+        const lights = options.lights ? Lights.normalize(options.lights) : [Lights.create(lu, lv)];
+        const passes = (mode.lit ? lights : lights.slice(0, 1)).map(light => {
+            const [lx, ly, lz] = RTIBasis.lightVector(light.x, light.y);
+            return {
+                evaluate: CPURelighter.evaluator(ptmData, light.x, light.y, lx, ly, lz),
+                surface: CPURelighter.createSurface(lx, ly, lz),
+                neighbour: CPURelighter.createSurface(lx, ly, lz),
+                weight: mode.lit ? Lights.weight(light) : [1, 1, 1],
+                lamp: Lights.lamp(light, width, height)
+            };
+        });
+        const out = [0, 0, 0];
+        const sum = [0, 0, 0];
+        const direction = [0, 0, 1];
+
+        let px = 0, py = 0;
+        let pass = passes[0];
+        const at = (dx, dy) => {
+            const x = Math.max(0, Math.min(width - 1, px + dx));
+            const y = Math.max(0, Math.min(height - 1, py + dy));
+            pass.evaluate(y * width + x, pass.neighbour);
+            return pass.neighbour;
+        };
+
+        for (let i = startRow * width; i < endRow * width; i++) {
+            px = i % width;
+            py = Math.floor(i / width);
+            sum[0] = sum[1] = sum[2] = 0;
+
+            for (let p = 0; p < passes.length; p++) {
+                pass = passes[p];
+                let factor = 1;
+                if (pass.lamp) {
+                    // Unlit modes take the lamp's direction but not its falloff
+                    const falloff = Lights.lampAt(pass.lamp, px + 0.5, py + 0.5, direction);
+                    factor = mode.lit ? falloff : 1;
+                    if (pass.evaluate.setLight) {
+                        pass.evaluate.setLight(direction[0], direction[1]);
+                        for (let k = 0; k < 3; k++) {
+                            pass.surface.light[k] = pass.neighbour.light[k] = direction[k];
+                        }
+                    }
+                }
+
+                pass.evaluate(i, pass.surface);
+                mode.cpu(pass.surface, params, out, at);
+                for (let k = 0; k < 3; k++) {
+                    sum[k] += out[k] * pass.weight[k] * factor;
+                }
+            }
+
+            const o = i * 4;
+            rgba[o] = sum[0] * 255;
+            rgba[o + 1] = sum[1] * 255;
+            rgba[o + 2] = sum[2] * 255;
+            rgba[o + 3] = 255;
+        }
+    }
+
+    /**
+     * A surface record as passed to a mode's cpu function (see RenderModes)
+     */
+    static createSurface(lx, ly, lz) {
+        return {
+            color: [0, 0, 0],
+            luminance: 0,
+            baseLuminance: 0,
+            normal: [0, 0, 1],
+            light: [lx, ly, lz],
+            relit: [0, 0, 0],
+            albedo: [1, 1, 1],
+            curvature: [0, 0, 0]
+        };
+    }
+
+    /**
+     * Build a per-pixel evaluator for the data's model
+     * The evaluator fills the sample's normal, color (clamped 0-1),
+     * luminance and baseLuminance (head-on), relit and albedo (color before
+     * clamping is albedo * relit) and curvature (the quadratic terms about
+     * the normal, as in the shader). PTM and closed-form basis evaluators
+     * (see RTIBasis.hasClosedForm) also have setLight(lu, lv) to change the
+     * light between pixels.
+     */
+    static evaluator(ptmData, lu, lv, lx, ly, lz) {
+        const clamp = (value) => Math.min(1, Math.max(0, value));
+        const ptmWeights = [lu * lu, lv * lv, lu * lv, lu, lv, 1];
+        const { normals } = ptmData;
+        const setLight = (u, v) => {
+            lu = u;
+            lv = v;
+            ptmWeights[0] = u * u;
+            ptmWeights[1] = v * v;
+            ptmWeights[2] = u * v;
+            ptmWeights[3] = u;
+            ptmWeights[4] = v;
+        };
+
+        // Fill the normal; returns the quadratic terms of the light offset from it
+        const offsetTerms = [0, 0, 0];
+        const readNormal = (i, sample) => {
+            sample.normal[0] = normals[i * 3];
+            sample.normal[1] = normals[i * 3 + 1];
+            sample.normal[2] = normals[i * 3 + 2];
+
+            const du = lu - sample.normal[0];
+            const dv = lv - sample.normal[1];
+            offsetTerms[0] = du * du;
+            offsetTerms[1] = dv * dv;
+            offsetTerms[2] = du * dv;
+            return offsetTerms;
+        };
+
+        if (ptmData.planes) {
+            const { planes, colorspace, rgb } = ptmData;
+            let current = RTIBasis.planeWeights(ptmData, lx, ly, lz);
+            const headOn = RTIBasis.planeWeights(ptmData, 0, 0, 1);
+            const color = [0, 0, 0];
+            const base = [0, 0, 0];
+
+            const evaluate = (i, sample) => {
+                readNormal(i, sample);
+                for (let k = 0; k < 3; k++) {
+                    sample.curvature[k] = 0;
+                    color[k] = current.offset[k];
+                    base[k] = headOn.offset[k];
+                }
+                for (let p = 0; p < planes.length; p++) {
+                    const value = planes[p][i];
+                    for (let k = 0; k < 3; k++) {
+                        color[k] += value * current.weights[p * 3 + k];
+                        base[k] += value * headOn.weights[p * 3 + k];
+                    }
+                }
+
+                if (colorspace === 'lrgb') {
+                    // Luminance planes modulate the stored base colour
+                    sample.luminance = color[0];
+                    sample.baseLuminance = base[0];
+                    for (let k = 0; k < 3; k++) {
+                        sample.relit[k] = color[0];
+                        sample.albedo[k] = rgb[i * 3 + k] / 255;
+                        sample.color[k] = clamp(sample.albedo[k] * color[0]);
+                    }
+                    return;
+                }
+
+                if (colorspace === 'ycc') {
+                    RTIBasis.yccToRGB(color);
+                    RTIBasis.yccToRGB(base);
+                }
+                sample.luminance = (color[0] + color[1] + color[2]) / 3;
+                sample.baseLuminance = (base[0] + base[1] + base[2]) / 3;
+                for (let k = 0; k < 3; k++) {
+                    sample.relit[k] = color[k];
+                    sample.albedo[k] = 1;
+                    sample.color[k] = clamp(color[k]);
+                }
+            };
+
+            if (!RTIBasis.hasClosedForm(ptmData)) {
+                return evaluate;
+            }
+            return Object.assign(evaluate, {
+                setLight: (u, v) => {
+                    const [x, y, z] = RTIBasis.lightVector(u, v);
+                    current = RTIBasis.planeWeights(ptmData, x, y, z);
+                }
+            });
+        }
+
+        if (ptmData.channelCoefficients) {
+            const channels = ptmData.channelCoefficients;
+
+            return Object.assign((i, sample) => {
+                const d2 = readNormal(i, sample);
+                let luminance = 0;
+                let baseLuminance = 0;
+                for (let ch = 0; ch < 3; ch++) {
+                    let value = 0;
+                    for (let c = 0; c < 6; c++) {
+                        value += channels[ch][c][i] * ptmWeights[c];
+                    }
+                    value /= 255;
+                    sample.relit[ch] = value;
+                    sample.albedo[ch] = 1;
+                    sample.curvature[ch] = (channels[ch][0][i] * d2[0] + channels[ch][1][i] * d2[1] +
+                        channels[ch][2][i] * d2[2]) / 255;
+                    sample.color[ch] = clamp(value);
+                    luminance += value;
+                    baseLuminance += channels[ch][5][i] / 255;
+                }
+                sample.luminance = luminance / 3;
+                sample.baseLuminance = baseLuminance / 3;
+            }, { setLight });
+        }
+
+        const { coefficients, rgb } = ptmData;
+
+        return Object.assign((i, sample) => {
+            const d2 = readNormal(i, sample);
+            let luminance = 0;
+            for (let c = 0; c < 6; c++) {
+                luminance += coefficients[c][i] * ptmWeights[c];
+            }
+            luminance /= 255;
+
+            sample.luminance = luminance;
+            sample.baseLuminance = coefficients[5][i] / 255;
+            const curvature = (coefficients[0][i] * d2[0] + coefficients[1][i] * d2[1] + coefficients[2][i] * d2[2]) / 255;
+
+            const factor = clamp(luminance);
+            for (let k = 0; k < 3; k++) {
+                sample.relit[k] = luminance;
+                sample.albedo[k] = rgb[i * 3 + k] / 255;
+                sample.curvature[k] = curvature;
+                sample.color[k] = sample.albedo[k] * factor;
+            }
+        }, { setLight });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CPURelighter;
+}
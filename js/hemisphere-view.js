@@ -0,0 +1,172 @@
+/**
+ * Hemisphere View
+ *
+ * Small Canvas 2D drawing of the lights on the hemisphere above the object,
+ * seen from in front of it and slightly above: the image plane is the
+ * ellipse at the bottom (its far edge is the top of the image) and each light
+ * sits on the dome at its direction, with a line from the centre of the
+ * object and a drop line to the image plane. The selected light also shows
+ * its ring of constant elevation.
+ */
+
+class HemisphereView {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw into
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.tilt = 25 * Math.PI / 180; // Viewing angle above the image plane
+    }
+
+    /**
+     * Canvas position of a point of the unit hemisphere
+     * @param {Array<number>} point - [x, y, z] with z out of the image
+     * @returns {Object} {x, y, front} where front is false for points on the far side
+     */
+    project([x, y, z]) {
+        const { width, height } = this.canvas;
+        const sin = Math.sin(this.tilt);
+        const cos = Math.cos(this.tilt);
+        const radius = Math.min(width / 2 - 10, (height - 24) / (1 + sin));
+        const centerY = height - 10 - radius * sin;
+
+        return {
+            x: width / 2 + x * radius,
+            y: centerY - (y * sin + z * cos) * radius,
+            front: z * sin - y * cos >= 0
+        };
+    }
+
+    /**
+     * Trace a path through hemisphere points
+     */
+    tracePath(points) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const { x, y } = this.project(point);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+    }
+
+    /**
+     * Points on the circle of constant elevation (radians above the image plane)
+     */
+    circle(elevation, steps = 64) {
+        const z = Math.sin(elevation);
+        const r = Math.cos(elevation);
+        return Array.from({ length: steps + 1 }, (_, i) => {
+            const angle = i / steps * 2 * Math.PI;
+            return [r * Math.cos(angle), r * Math.sin(angle), z];
+        });
+    }
+
+    /**
+     * Draw the hemisphere and the lights
+     * @param {Array<Object>} lights - Lights {x, y, color, intensity} (see Lights)
+     * @param {number} selected - Index of the selected light
+     */
+    draw(lights, selected = 0) {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const outline = 'rgba(148, 163, 184, 0.7)';
+        const faint = 'rgba(148, 163, 184, 0.3)';
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.lineWidth = 1;
+
+        // Image plane
+        this.tracePath(this.circle(0));
+        ctx.fillStyle = 'rgba(148, 163, 184, 0.1)';
+        ctx.fill();
+        ctx.strokeStyle = outline;
+        ctx.stroke();
+
+        // Dome silhouette and the meridian through the image's x axis
+        const center = this.project([0, 0, 0]);
+        const radius = this.project([1, 0, 0]).x - center.x;
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, Math.PI, 2 * Math.PI);
+        ctx.stroke();
+
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = faint;
+        this.tracePath(Array.from({ length: 33 }, (_, i) => {
+            const angle = i / 32 * Math.PI;
+            return [Math.cos(angle), 0, Math.sin(angle)];
+        }));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = outline;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        const far = this.project([0, 1, 0]);
+        ctx.fillText('top', far.x, far.y - 3);
+
+        // Far lights first, so nearer ones are drawn over them
+        const order = lights.map((light, index) => index)
+            .sort((a, b) => this.depth(lights[a]) - this.depth(lights[b]));
+
+        order.forEach(index => {
+            const light = lights[index];
+            const point = RTIBasis.lightVector(light.x, light.y);
+            const color = `rgb(${light.color.map(value => Math.round(value * 255)).join(', ')})`;
+            const placed = this.project(point);
+            const foot = this.project([point[0], point[1], 0]);
+            ctx.globalAlpha = placed.front ? 1 : 0.45;
+
+            if (index === selected) {
+                ctx.setLineDash([2, 3]);
+                ctx.strokeStyle = color;
+                this.tracePath(this.circle(Math.asin(point[2])));
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            // Ray from the object, and drop line to the image plane
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(center.x, center.y);
+            ctx.lineTo(placed.x, placed.y);
+            ctx.stroke();
+            ctx.setLineDash([2, 2]);
+            ctx.strokeStyle = faint;
+            ctx.beginPath();
+            ctx.moveTo(placed.x, placed.y);
+            ctx.lineTo(foot.x, foot.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(placed.x, placed.y, index === selected ? 6 : 4.5, 0, 2 * Math.PI);
+            ctx.fill();
+            if (index === selected) {
+                ctx.strokeStyle = '#f1f5f9';
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+                ctx.lineWidth = 1;
+            }
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * How far towards the viewer a light is (larger is nearer)
+     */
+    depth(light) {
+        const [, y, z] = RTIBasis.lightVector(light.x, light.y);
+        return z * Math.sin(this.tilt) - y * Math.cos(this.tilt);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HemisphereView;
+}
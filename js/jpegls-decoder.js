@@ -0,0 +1,554 @@
+/**
+ * JPEG-LS (LOCO-I) Decoder
+ *
+ * Pure JavaScript decoder for JPEG-LS baseline images (ITU-T T.87 / ISO 14495-1).
+ * Used for the coefficient planes of PTM_FORMAT_JPEGLS_RGB and
+ * PTM_FORMAT_JPEGLS_LRGB files. Supports lossless and near-lossless
+ * coding, custom preset parameters (LSE) and non-interleaved scans.
+ */
+
+class JPEGLSDecoder {
+    constructor() {
+        // Run length order table (J) from T.87 A.2.1
+        this.J = [
+            0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3,
+            4, 4, 5, 5, 6, 6, 7, 7, 8, 9, 10, 11, 12, 13, 14, 15
+        ];
+    }
+
+    /**
+     * Decode a JPEG-LS stream
+     * @param {Uint8Array} bytes - The compressed data, starting with the SOI marker
+     * @returns {Object} {width, height, bitsPerSample, components} where
+     *   components is an array of planes (Uint8Array, or Uint16Array above 8 bits)
+     */
+    decode(bytes) {
+        this.data = bytes;
+        this.pos = 0;
+
+        if (this.readUint16() !== 0xFFD8) {
+            throw new Error('Not a JPEG-LS stream: missing SOI marker');
+        }
+
+        let frame = null;
+        let preset = null;
+        const components = [];
+
+        while (this.pos < bytes.length) {
+            const marker = this.readMarker();
+
+            if (marker === 0xFFD9) {
+                // EOI
+                break;
+            } else if (marker === 0xFFF7) {
+                frame = this.readFrameHeader();
+            } else if (marker === 0xFFF8) {
+                preset = this.readPresetParameters(preset);
+            } else if (marker === 0xFFDA) {
+                if (!frame) {
+                    throw new Error('JPEG-LS scan found before frame header');
+                }
+                this.decodeScan(frame, preset, components);
+            } else if (marker === 0xFFDD) {
+                const length = this.readUint16();
+                const interval = length >= 4 ? this.readUint16() : 0;
+                this.pos += length - 4;
+                if (interval !== 0) {
+                    throw new Error('JPEG-LS restart intervals are not supported');
+                }
+            } else if ((marker >= 0xFFC0 && marker <= 0xFFCF && marker !== 0xFFC4 && marker !== 0xFFCC)) {
+                throw new Error('Stream is baseline/progressive JPEG, not JPEG-LS');
+            } else {
+                // APPn, COM and other segments we do not need
+                const length = this.readUint16();
+                this.pos += length - 2;
+            }
+        }
+
+        if (!frame) {
+            throw new Error('JPEG-LS stream has no frame header');
+        }
+
+        for (let i = 0; i < frame.componentCount; i++) {
+            if (!components[i]) {
+                throw new Error(`JPEG-LS component ${i} has no scan data`);
+            }
+        }
+
+        return {
+            width: frame.width,
+            height: frame.height,
+            bitsPerSample: frame.precision,
+            components
+        };
+    }
+
+    readUint16() {
+        const value = (this.data[this.pos] << 8) | this.data[this.pos + 1];
+        this.pos += 2;
+        return value;
+    }
+
+    /**
+     * Read the next marker, skipping any fill bytes
+     */
+    readMarker() {
+        while (this.pos < this.data.length && this.data[this.pos] !== 0xFF) {
+            this.pos++;
+        }
+        while (this.pos < this.data.length && this.data[this.pos] === 0xFF) {
+            this.pos++;
+        }
+        if (this.pos >= this.data.length) {
+            return 0xFFD9;
+        }
+        return 0xFF00 | this.data[this.pos++];
+    }
+
+    /**
+     * SOF55 frame header: precision, dimensions and component list
+     */
+    readFrameHeader() {
+        const length = this.readUint16();
+        const start = this.pos;
+
+        const precision = this.data[this.pos++];
+        const height = this.readUint16();
+        const width = this.readUint16();
+        const componentCount = this.data[this.pos++];
+
+        const componentIds = [];
+        for (let i = 0; i < componentCount; i++) {
+            componentIds.push(this.data[this.pos]);
+            this.pos += 3; // id, sampling factors, table selector
+        }
+
+        if (precision < 2 || precision > 16) {
+            throw new Error(`Invalid JPEG-LS sample precision: ${precision}`);
+        }
+        if (width === 0 || height === 0) {
+            throw new Error('JPEG-LS images with deferred dimensions are not supported');
+        }
+
+        this.pos = start + length - 2;
+        return { precision, width, height, componentCount, componentIds };
+    }
+
+    /**
+     * LSE segment: custom MAXVAL, thresholds and RESET
+     */
+    readPresetParameters(previous) {
+        const length = this.readUint16();
+        const start = this.pos;
+        const id = this.data[this.pos++];
+
+        if (id !== 1) {
+            throw new Error(`JPEG-LS preset parameter type ${id} is not supported`);
+        }
+
+        const preset = {
+            maxVal: this.readUint16(),
+            t1: this.readUint16(),
+            t2: this.readUint16(),
+            t3: this.readUint16(),
+            reset: this.readUint16()
+        };
+
+        this.pos = start + length - 2;
+        return Object.assign({}, previous, preset);
+    }
+
+    /**
+     * Decode one scan (SOS segment plus entropy-coded data)
+     */
+    decodeScan(frame, preset, components) {
+        const length = this.readUint16();
+        const start = this.pos;
+
+        const scanComponentCount = this.data[this.pos++];
+        const scanComponents = [];
+        for (let i = 0; i < scanComponentCount; i++) {
+            const id = this.data[this.pos];
+            const mappingTable = this.data[this.pos + 1];
+            this.pos += 2;
+
+            if (mappingTable !== 0) {
+                throw new Error('JPEG-LS mapping tables are not supported');
+            }
+            scanComponents.push(frame.componentIds.indexOf(id));
+        }
+
+        const near = this.data[this.pos++];
+        const interleave = this.data[this.pos++];
+        this.pos = start + length - 2;
+
+        if (scanComponentCount > 1 || interleave !== 0) {
+            throw new Error('Interleaved JPEG-LS scans are not supported');
+        }
+
+        const params = this.computeParameters(frame.precision, near, preset);
+        const plane = this.decodePlane(frame.width, frame.height, params, frame.precision);
+
+        components[scanComponents[0]] = plane;
+    }
+
+    /**
+     * Derive coding parameters (T.87 C.2.4.1.1 and A.2.1)
+     */
+    computeParameters(precision, near, preset) {
+        const maxVal = (preset && preset.maxVal) || (1 << precision) - 1;
+        const range = Math.floor((maxVal + 2 * near) / (2 * near + 1)) + 1;
+        const qbpp = Math.ceil(Math.log2(range));
+        const bpp = Math.max(2, Math.ceil(Math.log2(maxVal + 1)));
+        const limit = 2 * (bpp + Math.max(8, bpp));
+
+        const clamp = (value, low, high) => (value > high || value < low ? low : value);
+
+        let t1, t2, t3;
+        if (maxVal >= 128) {
+            const factor = Math.floor((Math.min(maxVal, 4095) + 128) / 256);
+            t1 = clamp(factor * (3 - 2) + 2 + 3 * near, near + 1, maxVal);
+            t2 = clamp(factor * (7 - 3) + 3 + 5 * near, t1, maxVal);
+            t3 = clamp(factor * (21 - 4) + 4 + 7 * near, t2, maxVal);
+        } else {
+            const factor = Math.floor(256 / (maxVal + 1));
+            t1 = clamp(Math.max(2, Math.floor(3 / factor) + 3 * near), near + 1, maxVal);
+            t2 = clamp(Math.max(3, Math.floor(7 / factor) + 5 * near), t1, maxVal);
+            t3 = clamp(Math.max(4, Math.floor(21 / factor) + 7 * near), t2, maxVal);
+        }
+
+        return {
+            maxVal,
+            near,
+            range,
+            qbpp,
+            limit,
+            t1: (preset && preset.t1) || t1,
+            t2: (preset && preset.t2) || t2,
+            t3: (preset && preset.t3) || t3,
+            reset: (preset && preset.reset) || 64
+        };
+    }
+
+    /**
+     * Decode all lines of a single-component scan
+     */
+    decodePlane(width, height, params, precision) {
+        this.params = params;
+        this.initContexts(params);
+        this.initBitReader();
+
+        const output = precision > 8
+            ? new Uint16Array(width * height)
+            : new Uint8Array(width * height);
+
+        // Line buffers padded by one sample on each side; the row above the
+        // first line is all zeros
+        let prev = new Int32Array(width + 2);
+        let cur = new Int32Array(width + 2);
+
+        for (let y = 0; y < height; y++) {
+            // Edge rules: Ra of the first sample is the sample above it, and
+            // Rd of the last sample repeats Rb
+            cur[0] = prev[1];
+            prev[width + 1] = prev[width];
+
+            this.decodeLine(prev, cur, width);
+            output.set(cur.subarray(1, width + 1), y * width);
+
+            const swap = prev;
+            prev = cur;
+            cur = swap;
+        }
+
+        this.finishScan();
+        return output;
+    }
+
+    initContexts(params) {
+        const initialA = Math.max(2, Math.floor((params.range + 32) / 64));
+
+        this.A = new Int32Array(365).fill(initialA);
+        this.B = new Int32Array(365);
+        this.C = new Int32Array(365);
+        this.N = new Int32Array(365).fill(1);
+
+        // Run interruption contexts: index 0 for Ra != Rb, index 1 for Ra == Rb
+        this.runContexts = [
+            { type: 0, A: initialA, N: 1, Nn: 0 },
+            { type: 1, A: initialA, N: 1, Nn: 0 }
+        ];
+        this.runIndex = 0;
+    }
+
+    decodeLine(prev, cur, width) {
+        const near = this.params.near;
+        let x = 1;
+
+        while (x <= width) {
+            const ra = cur[x - 1];
+            const rb = prev[x];
+            const rc = prev[x - 1];
+            const rd = prev[x + 1];
+
+            const d1 = rd - rb;
+            const d2 = rb - rc;
+            const d3 = rc - ra;
+
+            if (Math.abs(d1) <= near && Math.abs(d2) <= near && Math.abs(d3) <= near) {
+                x += this.decodeRunMode(x, prev, cur, width);
+            } else {
+                const q = (this.quantizeGradient(d1) * 9 + this.quantizeGradient(d2)) * 9 +
+                    this.quantizeGradient(d3);
+                cur[x] = this.decodeRegular(q, ra, rb, rc);
+                x++;
+            }
+        }
+    }
+
+    quantizeGradient(d) {
+        const { near, t1, t2, t3 } = this.params;
+
+        if (d <= -t3) return -4;
+        if (d <= -t2) return -3;
+        if (d <= -t1) return -2;
+        if (d < -near) return -1;
+        if (d <= near) return 0;
+        if (d < t1) return 1;
+        if (d < t2) return 2;
+        if (d < t3) return 3;
+        return 4;
+    }
+
+    /**
+     * Regular mode: median edge predictor plus context-adaptive Golomb coding
+     */
+    decodeRegular(q, ra, rb, rc) {
+        const { near, maxVal, limit, qbpp, reset } = this.params;
+        const sign = q < 0 ? -1 : 1;
+        const ctx = Math.abs(q);
+
+        let predicted;
+        if (rc >= Math.max(ra, rb)) {
+            predicted = Math.min(ra, rb);
+        } else if (rc <= Math.min(ra, rb)) {
+            predicted = Math.max(ra, rb);
+        } else {
+            predicted = ra + rb - rc;
+        }
+
+        predicted += sign * this.C[ctx];
+        predicted = Math.max(0, Math.min(maxVal, predicted));
+
+        let k = 0;
+        while ((this.N[ctx] << k) < this.A[ctx]) k++;
+
+        const mapped = this.decodeValue(k, limit, qbpp);
+        let errVal = (mapped & 1) ? -((mapped + 1) >> 1) : mapped >> 1;
+
+        if (k === 0 && near === 0 && 2 * this.B[ctx] + this.N[ctx] - 1 < 0) {
+            errVal = -errVal - 1;
+        }
+
+        // Context update (A.6) and bias correction (A.6.2)
+        this.A[ctx] += Math.abs(errVal);
+        this.B[ctx] += errVal * (2 * near + 1);
+        if (this.N[ctx] === reset) {
+            this.A[ctx] >>= 1;
+            this.B[ctx] >>= 1;
+            this.N[ctx] >>= 1;
+        }
+        this.N[ctx]++;
+
+        if (this.B[ctx] + this.N[ctx] <= 0) {
+            this.B[ctx] += this.N[ctx];
+            if (this.B[ctx] <= -this.N[ctx]) {
+                this.B[ctx] = -this.N[ctx] + 1;
+            }
+            if (this.C[ctx] > -128) this.C[ctx]--;
+        } else if (this.B[ctx] > 0) {
+            this.B[ctx] -= this.N[ctx];
+            if (this.B[ctx] > 0) {
+                this.B[ctx] = 0;
+            }
+            if (this.C[ctx] < 127) this.C[ctx]++;
+        }
+
+        return this.reconstruct(predicted, sign * errVal);
+    }
+
+    /**
+     * Run mode: decode a run of samples equal to Ra, then the interrupting sample
+     * @returns {number} Number of samples written
+     */
+    decodeRunMode(x, prev, cur, width) {
+        const ra = cur[x - 1];
+        const remaining = width - x + 1;
+        let count = 0;
+
+        while (this.readBit()) {
+            const segment = 1 << this.J[this.runIndex];
+            const n = Math.min(segment, remaining - count);
+            count += n;
+
+            if (n === segment) {
+                this.runIndex = Math.min(31, this.runIndex + 1);
+            }
+            if (count === remaining) {
+                break;
+            }
+        }
+
+        if (count !== remaining) {
+            const bits = this.J[this.runIndex];
+            count += bits > 0 ? this.readBits(bits) : 0;
+        }
+
+        if (count > remaining) {
+            throw new Error('Corrupt JPEG-LS data: run extends past end of line');
+        }
+
+        for (let i = 0; i < count; i++) {
+            cur[x + i] = ra;
+        }
+
+        const end = x + count;
+        if (end > width) {
+            return count;
+        }
+
+        cur[end] = this.decodeRunInterruption(ra, prev[end]);
+        this.runIndex = Math.max(0, this.runIndex - 1);
+
+        return count + 1;
+    }
+
+    decodeRunInterruption(ra, rb) {
+        const { near, limit, qbpp, reset } = this.params;
+        const sameNeighbours = Math.abs(ra - rb) <= near;
+        const ctx = this.runContexts[sameNeighbours ? 1 : 0];
+
+        const temp = ctx.A + (ctx.N >> 1) * ctx.type;
+        let k = 0;
+        while ((ctx.N << k) < temp) k++;
+
+        const mapped = this.decodeValue(k, limit - this.J[this.runIndex] - 1, qbpp);
+
+        // Inverse error mapping for run interruption samples (A.7.2.2)
+        const value = mapped + ctx.type;
+        const map = value & 1;
+        const magnitude = (value + map) >> 1;
+        const negative = (k !== 0 || 2 * ctx.Nn >= ctx.N) ? map === 1 : map === 0;
+        const errVal = negative ? -magnitude : magnitude;
+
+        if (errVal < 0) ctx.Nn++;
+        ctx.A += (mapped + 1 - ctx.type) >> 1;
+        if (ctx.N === reset) {
+            ctx.A >>= 1;
+            ctx.N >>= 1;
+            ctx.Nn >>= 1;
+        }
+        ctx.N++;
+
+        if (sameNeighbours) {
+            return this.reconstruct(ra, errVal);
+        }
+        return this.reconstruct(rb, rb > ra ? errVal : -errVal);
+    }
+
+    /**
+     * Dequantize the error, undo the modulo reduction and clamp
+     */
+    reconstruct(predicted, errVal) {
+        const { near, range, maxVal } = this.params;
+        let value = predicted + errVal * (2 * near + 1);
+
+        if (value < -near) {
+            value += range * (2 * near + 1);
+        } else if (value > maxVal + near) {
+            value -= range * (2 * near + 1);
+        }
+
+        return Math.max(0, Math.min(maxVal, value));
+    }
+
+    /**
+     * Limited-length Golomb code (A.5.3)
+     */
+    decodeValue(k, limit, qbpp) {
+        let highBits = 0;
+        while (this.readBit() === 0) {
+            highBits++;
+            if (highBits > limit) {
+                throw new Error('Corrupt JPEG-LS data: Golomb code exceeds limit');
+            }
+        }
+
+        if (highBits >= limit - (qbpp + 1)) {
+            return this.readBits(qbpp) + 1;
+        }
+        if (k === 0) {
+            return highBits;
+        }
+        return (highBits << k) + this.readBits(k);
+    }
+
+    initBitReader() {
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        this.lastByteWasFF = false;
+    }
+
+    readBit() {
+        if (this.bitCount === 0) {
+            this.fillBits();
+        }
+        this.bitCount--;
+        return (this.bitBuffer >> this.bitCount) & 1;
+    }
+
+    readBits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            value = (value << 1) | this.readBit();
+        }
+        return value;
+    }
+
+    /**
+     * Load the next byte; a byte following 0xFF carries only 7 bits
+     * because its high bit is a stuffed zero
+     */
+    fillBits() {
+        if (this.pos >= this.data.length ||
+            (this.data[this.pos] === 0xFF && this.data[this.pos + 1] >= 0x80)) {
+            throw new Error('Corrupt JPEG-LS data: unexpected end of scan');
+        }
+
+        const byte = this.data[this.pos++];
+        if (this.lastByteWasFF) {
+            this.bitBuffer = byte & 0x7F;
+            this.bitCount = 7;
+        } else {
+            this.bitBuffer = byte;
+            this.bitCount = 8;
+        }
+        this.lastByteWasFF = byte === 0xFF;
+    }
+
+    /**
+     * Skip any padding left in the entropy-coded segment so the next
+     * marker can be read
+     */
+    finishScan() {
+        while (this.pos < this.data.length &&
+            !(this.data[this.pos] === 0xFF && this.data[this.pos + 1] >= 0x80)) {
+            this.pos++;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JPEGLSDecoder;
+}
@@ -0,0 +1,258 @@
+/**
+ * Lights
+ *
+ * The light sources the renderers relight with. A light is
+ *
+ *     {x, y, color: [r, g, b], intensity}
+ *
+ * with x, y the light direction (lu, lv, -1 to 1) and the colour in 0-1.
+ * The direction can also be given as azimuth and elevation in degrees:
+ * azimuth runs anticlockwise from the +x axis (0 is light from the right of
+ * the image, 90 from the top) and elevation is the angle above the image
+ * plane (0 is grazing, 90 is head-on).
+ *
+ * Each light's contribution is its relit image scaled by color * intensity,
+ * and the contributions are summed, so two lights of intensity 0.5 give the
+ * same brightness as one of intensity 1.
+ *
+ * A light of type 'point' is a lamp at a position above the image instead
+ * of a light at infinity. Its x, y (and so its azimuth and elevation) give
+ * the direction from the point it is aimed at (target, in fractions of the
+ * image width and height, top-left origin) to the lamp, and distance is how
+ * far away it is, in image widths. Each pixel is lit from its own direction
+ * to the lamp, with inverse-square falloff scaled to 1 at the target. A
+ * spotAngle above 0 limits the light to a cone of that half-angle (degrees)
+ * around the direction to the target, with a soft edge.
+ */
+
+class Lights {
+    /**
+     * A directional light with default colour (white) and intensity (1)
+     * The lamp settings (type, target, distance, spotAngle) take their defaults
+     * and only apply once the type is set to 'point'.
+     * @param {number} x - Light X direction (-1 to 1)
+     * @param {number} y - Light Y direction (-1 to 1)
+     */
+    static create(x = 0, y = 0, color = [1, 1, 1], intensity = 1) {
+        return {
+            x,
+            y,
+            color: color.slice(),
+            intensity,
+            type: 'directional',
+            target: [0.5, 0.5],
+            distance: 1,
+            spotAngle: 0
+        };
+    }
+
+    /**
+     * Validated copies of a list of lights, with the direction clamped to -1..1
+     * @param {Array<Object>} lights - 1 to Lights.MAX lights
+     * @returns {Array<Object>}
+     */
+    static normalize(lights) {
+        if (!Array.isArray(lights) || lights.length === 0) {
+            throw new Error('At least one light is needed');
+        }
+        if (lights.length > Lights.MAX) {
+            throw new Error(`At most ${Lights.MAX} lights are supported, got ${lights.length}`);
+        }
+
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+        return lights.map(light => {
+            const color = light.color || [1, 1, 1];
+            const intensity = light.intensity === undefined ? 1 : light.intensity;
+            if (color.length !== 3 || !color.every(Number.isFinite) || !Number.isFinite(intensity)) {
+                throw new Error('A light needs an [r, g, b] colour and a numeric intensity');
+            }
+            const type = light.type || 'directional';
+            if (!Lights.TYPES.includes(type)) {
+                throw new Error(`Unknown light type "${type}" (expected ${Lights.TYPES.join(' or ')})`);
+            }
+
+            const normalized = Lights.create(
+                clamp(light.x || 0, -1, 1),
+                clamp(light.y || 0, -1, 1),
+                color.map(value => clamp(value, 0, 1)),
+                Math.max(0, intensity)
+            );
+            normalized.type = type;
+            if (light.target) {
+                normalized.target = light.target.map(value => clamp(value, 0, 1));
+            }
+            if (light.distance !== undefined) {
+                normalized.distance = Math.max(Lights.MIN_DISTANCE, light.distance);
+            }
+            if (light.spotAngle !== undefined) {
+                normalized.spotAngle = clamp(light.spotAngle, 0, Lights.MAX_SPOT_ANGLE);
+            }
+            return normalized;
+        });
+    }
+
+    /**
+     * Azimuth and elevation of a light direction
+     * @param {number} x - Light X direction (lu)
+     * @param {number} y - Light Y direction (lv)
+     * @returns {Object} {azimuth, elevation} in degrees; azimuth is 0-360 (0 for head-on light)
+     */
+    static toAngles(x, y) {
+        const radius = Math.min(1, Math.sqrt(x * x + y * y));
+        let azimuth = Math.atan2(y, x) * 180 / Math.PI;
+        if (azimuth < 0) {
+            azimuth += 360;
+        }
+        return { azimuth, elevation: Math.acos(radius) * 180 / Math.PI };
+    }
+
+    /**
+     * Light direction of an azimuth and elevation
+     * @param {number} azimuth - Degrees anticlockwise from +x
+     * @param {number} elevation - Degrees above the image plane (0-90)
+     * @returns {Object} {x, y}
+     */
+    static fromAngles(azimuth, elevation) {
+        const radius = Math.cos(Math.max(0, Math.min(90, elevation)) * Math.PI / 180);
+        const angle = azimuth * Math.PI / 180;
+        return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+    }
+
+    /**
+     * Where a point light is, in image pixels, as the renderers use it
+     * @param {Object} light - Light (see create)
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {Object|null} {position: [x, y, z], distance, axis, cone} or null for
+     *   directional lights. position has y down the image and z towards the
+     *   viewer; distance is the falloff reference (the distance to the target);
+     *   axis is the unit vector from the lamp to the target; cone is the cosines
+     *   [outer, inner] of the spot edge ([-2, -1], never cut off, without a cone).
+     */
+    static lamp(light, width, height) {
+        if (light.type !== 'point') {
+            return null;
+        }
+
+        const [lx, ly, lz] = RTIBasis.lightVector(light.x, light.y);
+        const distance = light.distance * width;
+        const angle = light.spotAngle * Math.PI / 180;
+        return {
+            position: [
+                light.target[0] * width + lx * distance,
+                light.target[1] * height - ly * distance,
+                lz * distance
+            ],
+            distance,
+            axis: [-lx, ly, -lz],
+            cone: light.spotAngle > 0 ? [Math.cos(angle), Math.cos(angle * Lights.SPOT_SOFTNESS)] : [-2, -1]
+        };
+    }
+
+    /**
+     * Light direction and brightness of a lamp at an image position
+     * (the same sums as the fragment shader)
+     * @param {Object} lamp - From Lights.lamp
+     * @param {number} x - Image x in pixels
+     * @param {number} y - Image y in pixels
+     * @param {Array<number>} direction - Filled with the unit [lx, ly, lz] towards the lamp
+     * @returns {number} Falloff times the spot cone
+     */
+    static lampAt(lamp, x, y, direction) {
+        const dx = lamp.position[0] - x;
+        const dy = lamp.position[1] - y;
+        const dz = lamp.position[2];
+        const distance = Math.max(1, Math.sqrt(dx * dx + dy * dy + dz * dz));
+
+        direction[0] = dx / distance;
+        direction[1] = -dy / distance;
+        direction[2] = dz / distance;
+
+        const cosAngle = -(dx * lamp.axis[0] + dy * lamp.axis[1] + dz * lamp.axis[2]) / distance;
+        const [outer, inner] = lamp.cone;
+        const edge = Math.max(0, Math.min(1, (cosAngle - outer) / (inner - outer)));
+        const falloff = lamp.distance / distance;
+        return falloff * falloff * edge * edge * (3 - 2 * edge);
+    }
+
+    /**
+     * Move a point light so it stands over an image position, at the same height
+     * @param {Object} light - Point light (see create)
+     * @param {number} x - Image x in pixels
+     * @param {number} y - Image y in pixels
+     * @returns {Object} {x, y, distance} to assign to the light
+     */
+    static placeLamp(light, x, y, width, height) {
+        const lamp = Lights.lamp(light, width, height);
+        return Lights.fromLampVector(
+            x - light.target[0] * width,
+            light.target[1] * height - y,
+            lamp.position[2],
+            width
+        ) || { x: light.x, y: light.y, distance: light.distance };
+    }
+
+    /**
+     * Aim a point light at an image position, leaving the lamp where it is
+     * @param {Object} light - Point light (see create)
+     * @param {number} x - Image x in pixels
+     * @param {number} y - Image y in pixels
+     * @returns {Object} {x, y, distance, target} to assign to the light
+     */
+    static aimLamp(light, x, y, width, height) {
+        const [lampX, lampY, lampZ] = Lights.lamp(light, width, height).position;
+        const target = [
+            Math.max(0, Math.min(1, x / width)),
+            Math.max(0, Math.min(1, y / height))
+        ];
+        const placed = Lights.fromLampVector(
+            lampX - target[0] * width,
+            target[1] * height - lampY,
+            lampZ,
+            width
+        );
+        return placed ? Object.assign(placed, { target }) : { x: light.x, y: light.y, distance: light.distance };
+    }
+
+    /**
+     * Direction and distance of a lamp from the vector target-to-lamp (y up, pixels)
+     * @returns {Object|null} {x, y, distance}, or null when the lamp is at the target
+     */
+    static fromLampVector(dx, dy, dz, width) {
+        const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (length === 0) {
+            return null;
+        }
+        return {
+            x: dx / length,
+            y: dy / length,
+            distance: Math.max(Lights.MIN_DISTANCE, length / width)
+        };
+    }
+
+    /**
+     * The colour a light's contribution is scaled by: color * intensity
+     * @returns {Array<number>} [r, g, b]
+     */
+    static weight(light) {
+        return light.color.map(value => value * light.intensity);
+    }
+}
+
+// Most lights the renderers sum (each one adds a relighting pass to the shader)
+Lights.MAX = 4;
+
+// Light types: at infinity, or a lamp at a position (see Lights.lamp)
+Lights.TYPES = ['directional', 'point'];
+
+// Closest a lamp can be to its target, in image widths
+Lights.MIN_DISTANCE = 0.05;
+
+// Widest spot cone (half-angle, degrees) and where its soft edge starts, as a fraction of it
+Lights.MAX_SPOT_ANGLE = 89;
+Lights.SPOT_SOFTNESS = 0.8;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lights;
+}
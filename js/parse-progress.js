@@ -0,0 +1,38 @@
+/**
+ * Parse Progress
+ *
+ * Passes a parser's progress on to its onProgress callback in whole-percent
+ * steps, so scanline loops can report after every row without flooding the
+ * page (or the worker's message channel). Used by PTMParser and RTIParser,
+ * one instance per parse.
+ */
+
+class ParseProgress {
+    /**
+     * @param {Function} onProgress - Optional callback(loadedBytes, totalBytes)
+     * @param {number} total - File size in bytes
+     */
+    constructor(onProgress, total) {
+        this.onProgress = onProgress;
+        this.total = total;
+        this.lastPercent = -1;
+    }
+
+    /**
+     * Report how many bytes of the file have been parsed
+     */
+    report(loaded) {
+        if (!this.onProgress) return;
+
+        const percent = Math.floor(loaded / this.total * 100);
+        if (percent !== this.lastPercent) {
+            this.lastPercent = percent;
+            this.onProgress(Math.min(loaded, this.total), this.total);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParseProgress;
+}
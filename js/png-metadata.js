@@ -0,0 +1,112 @@
+/**
+ * PNG Metadata
+ *
+ * Adds text chunks to an encoded PNG (such as canvas.toBlob output), so
+ * exported images record how they were rendered. Values that fit in Latin-1
+ * are written as tEXt chunks, others (e.g. non-Latin file names) as
+ * uncompressed UTF-8 iTXt chunks. Also provides the chunk and CRC-32 helpers
+ * the command-line tool's PNG encoder uses.
+ */
+
+class PNGMetadata {
+    /**
+     * Insert text chunks after the IHDR chunk of a PNG file
+     * @param {ArrayBuffer|Uint8Array} png - Encoded PNG
+     * @param {Object} text - {keyword: value} pairs; keywords are 1-79 Latin-1 characters
+     * @returns {Uint8Array} The PNG with the text chunks added
+     */
+    static addText(png, text) {
+        const bytes = png instanceof Uint8Array ? png : new Uint8Array(png);
+        const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+        if (bytes.length < 33 || !signature.every((value, i) => bytes[i] === value)) {
+            throw new Error('Not a PNG file');
+        }
+
+        // Signature (8) + IHDR length, type, 13 data bytes and CRC (25)
+        const headerEnd = 33;
+        const chunks = Object.entries(text).map(([keyword, value]) => PNGMetadata.textChunk(keyword, String(value)));
+        const length = chunks.reduce((sum, chunk) => sum + chunk.length, bytes.length);
+
+        const out = new Uint8Array(length);
+        out.set(bytes.subarray(0, headerEnd));
+        let offset = headerEnd;
+        chunks.forEach(chunk => {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        });
+        out.set(bytes.subarray(headerEnd), offset);
+
+        return out;
+    }
+
+    /**
+     * Build a tEXt chunk, or an iTXt chunk when the value is not Latin-1
+     */
+    static textChunk(keyword, value) {
+        if (!/^[\x20-\x7E\xA1-\xFF]{1,79}$/.test(keyword)) {
+            throw new Error(`Invalid PNG text keyword "${keyword}"`);
+        }
+
+        const latin1 = (string) => Uint8Array.from(string, char => char.charCodeAt(0));
+
+        if (/^[\x00-\xFF]*$/.test(value)) {
+            return PNGMetadata.chunk('tEXt', latin1(`${keyword}\0${value}`));
+        }
+
+        // Keyword, null, compression flag 0, method 0, empty language tag and translated keyword
+        const header = latin1(`${keyword}\0\0\0\0\0`);
+        const utf8 = new TextEncoder().encode(value);
+        const data = new Uint8Array(header.length + utf8.length);
+        data.set(header);
+        data.set(utf8, header.length);
+        return PNGMetadata.chunk('iTXt', data);
+    }
+
+    /**
+     * Build a chunk: length, type, data, CRC of type + data
+     * @param {string} type - Four-letter chunk type
+     * @param {Uint8Array} data - Chunk data
+     * @returns {Uint8Array}
+     */
+    static chunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, PNGMetadata.crc32(chunk.subarray(4, 8 + data.length)));
+
+        return chunk;
+    }
+
+    /**
+     * CRC-32 (ISO 3309) as used by PNG chunks
+     */
+    static crc32(bytes) {
+        if (!PNGMetadata.crcTable) {
+            PNGMetadata.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                PNGMetadata.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = PNGMetadata.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PNGMetadata;
+}
@@ -0,0 +1,231 @@
+/**
+ * PTM Fitter
+ *
+ * Builds a PTM_FORMAT_LRGB data set from a stack of photographs taken
+ * under known light directions (an .lp file), as RTIBuilder's PTM fitter does.
+ *
+ * Every pixel's luminance (its brightest channel, so that the base colour
+ * below stays within 0-255) across the N captures is fitted by least squares
+ * to the PTM biquadratic L = a0*lu² + a1*lv² + a2*lu*lv + a3*lu + a4*lv + a5.
+ * The 6xN pseudo-inverse (BᵀB)⁻¹Bᵀ depends only on the light directions, so
+ * it is computed once and images are accumulated one at a time, keeping
+ * memory at a few planes however many captures there are.
+ *
+ * The base colour is the least-squares fit of C = rgb * L / 255 over all
+ * captures: rgb = 255 * Σ C_k L_k / Σ L_k².
+ */
+
+class PTMFitter {
+    /**
+     * Parse an .lp light position file
+     *
+     * Format: the number of images on the first line, then one line per
+     * image with its file name and the x, y, z light direction.
+     * @param {string} text - File contents
+     * @returns {Array<Object>} [{file, direction: [x, y, z]}]
+     */
+    parseLP(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const count = parseInt(lines[0]);
+
+        if (!(count > 0)) {
+            throw new Error('Invalid .lp file: the first line must be the number of images');
+        }
+        if (lines.length - 1 < count) {
+            throw new Error(`Invalid .lp file: expected ${count} light positions, found ${lines.length - 1}`);
+        }
+
+        const entries = [];
+        for (let i = 1; i <= count; i++) {
+            // The file name may contain spaces; the direction is the last three values
+            const tokens = lines[i].split(/\s+/);
+            const direction = tokens.slice(-3).map(Number);
+            const file = tokens.slice(0, -3).join(' ');
+
+            if (!file || !direction.every(Number.isFinite)) {
+                throw new Error(`Invalid .lp file: cannot read line ${i + 1} "${lines[i]}"`);
+            }
+
+            const length = Math.sqrt(direction[0] ** 2 + direction[1] ** 2 + direction[2] ** 2) || 1;
+            entries.push({ file, direction: direction.map(v => v / length) });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Write light positions in .lp format
+     * @param {Array<Object>} entries - [{file, direction: [x, y, z]}]
+     * @returns {string} File contents
+     */
+    formatLP(entries) {
+        const lines = [String(entries.length)];
+        entries.forEach(({ file, direction }) => {
+            lines.push(`${file} ${direction.map(value => value.toFixed(6)).join(' ')}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Fit PTM coefficients to a stack of captures
+     * @param {Array<Array<number>>} lights - Unit light direction per capture
+     * @param {number} width - Capture width
+     * @param {number} height - Capture height
+     * @param {Function} loadImage - async (index) => RGBA bytes of capture `index`
+     * @param {Function} onProgress - Optional (done, total) callback after each capture
+     * @returns {Object} Data in the shape PTMParser.parse returns (PTM_FORMAT_LRGB)
+     */
+    async fit(lights, width, height, loadImage, onProgress) {
+        if (lights.length < 6) {
+            throw new Error(`PTM fitting needs at least 6 captures, got ${lights.length}`);
+        }
+
+        const pixelCount = width * height;
+        const pseudoInverse = this.pseudoInverse(lights);
+
+        const coefficients = [];
+        for (let c = 0; c < 6; c++) {
+            coefficients.push(new Float32Array(pixelCount));
+        }
+
+        // Accumulators for the base colour fit
+        const colorSums = new Float32Array(pixelCount * 3);
+        const luminanceSquares = new Float32Array(pixelCount);
+
+        for (let k = 0; k < lights.length; k++) {
+            const rgba = await loadImage(k);
+            if (rgba.length !== pixelCount * 4) {
+                throw new Error(`Capture ${k + 1} does not match the ${width}x${height} size of the first capture`);
+            }
+
+            const weights = pseudoInverse.map(row => row[k]);
+
+            for (let i = 0; i < pixelCount; i++) {
+                const r = rgba[i * 4];
+                const g = rgba[i * 4 + 1];
+                const b = rgba[i * 4 + 2];
+                const luminance = Math.max(r, g, b);
+
+                for (let c = 0; c < 6; c++) {
+                    coefficients[c][i] += weights[c] * luminance;
+                }
+
+                colorSums[i * 3] += r * luminance;
+                colorSums[i * 3 + 1] += g * luminance;
+                colorSums[i * 3 + 2] += b * luminance;
+                luminanceSquares[i] += luminance * luminance;
+            }
+
+            if (onProgress) {
+                onProgress(k + 1, lights.length);
+            }
+        }
+
+        const rgb = new Uint8Array(pixelCount * 3);
+        for (let i = 0; i < pixelCount; i++) {
+            const denominator = luminanceSquares[i];
+            for (let ch = 0; ch < 3; ch++) {
+                const value = denominator > 0 ? 255 * colorSums[i * 3 + ch] / denominator : 0;
+                rgb[i * 3 + ch] = Math.max(0, Math.min(255, Math.round(value)));
+            }
+        }
+
+        const normals = new PTMParser().computeNormals(coefficients, width, height);
+
+        return {
+            version: 'PTM_1.2',
+            format: 'PTM_FORMAT_LRGB',
+            width,
+            height,
+            scale: [1, 1, 1, 1, 1, 1],
+            bias: [0, 0, 0, 0, 0, 0],
+            coefficients,
+            rgb,
+            normals
+        };
+    }
+
+    /**
+     * Pseudo-inverse (BᵀB)⁻¹Bᵀ of the N x 6 PTM basis matrix
+     * @returns {Array<Array<number>>} 6 rows of N weights
+     */
+    pseudoInverse(lights) {
+        const basis = lights.map(([lu, lv]) => [lu * lu, lv * lv, lu * lv, lu, lv, 1]);
+
+        const normal = [];
+        for (let a = 0; a < 6; a++) {
+            normal.push([]);
+            for (let b = 0; b < 6; b++) {
+                normal[a].push(basis.reduce((sum, row) => sum + row[a] * row[b], 0));
+            }
+        }
+
+        const inverse = this.invert(normal);
+
+        return inverse.map(row => basis.map(basisRow =>
+            row.reduce((sum, value, b) => sum + value * basisRow[b], 0)
+        ));
+    }
+
+    /**
+     * Invert a square matrix by Gauss-Jordan elimination with partial pivoting
+     */
+    invert(matrix) {
+        const n = matrix.length;
+        const m = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+            }
+            if (Math.abs(m[pivot][col]) < 1e-12) {
+                throw new Error('Light directions do not constrain the PTM fit (need more varied lights)');
+            }
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+
+            const scale = m[col][col];
+            for (let j = 0; j < 2 * n; j++) m[col][j] /= scale;
+
+            for (let row = 0; row < n; row++) {
+                if (row === col) continue;
+                const factor = m[row][col];
+                for (let j = 0; j < 2 * n; j++) m[row][j] -= factor * m[col][j];
+            }
+        }
+
+        return m.map(row => row.slice(n));
+    }
+
+    /**
+     * Decode a JPEG or PNG capture to RGBA bytes
+     * @returns {Promise<Object>} {width, height, data}
+     */
+    async decodeImage(file) {
+        const bitmap = await createImageBitmap(file, {
+            colorSpaceConversion: 'none',
+            premultiplyAlpha: 'none'
+        });
+        const { width, height } = bitmap;
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        return { width, height, data: ctx.getImageData(0, 0, width, height).data };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PTMFitter;
+}
@@ -0,0 +1,41 @@
+/**
+ * PTM Parse Error
+ *
+ * Thrown by PTMParser and RTIParser when a file is malformed, truncated or
+ * unsupported.
+ * Carries a machine-readable code and the byte offset where the problem
+ * was found, so the viewer can show a useful diagnostic.
+ *
+ * Codes:
+ * - NOT_PTM: the file does not start with "PTM_"
+ * - TRUNCATED_HEADER: the file ends before the six header lines (PTM) or
+ *   before the size and basis lines (RTI)
+ * - UNSUPPORTED_VERSION: the first line is not PTM_1.x
+ * - INVALID_HEADER: a PTM header line is longer than PTMParser.MAX_HEADER_LINE
+ * - UNSUPPORTED_FORMAT: unknown or unimplemented PTM_FORMAT_*, or an RTI
+ *   type, band count, basis or element size the viewer cannot read
+ * - INVALID_DIMENSIONS: width or height is not a positive integer
+ * - INVALID_SCALE, INVALID_BIAS: not exactly six numeric values (PTM)
+ * - INVALID_COMPRESSION_HEADER: bad values in a JPEG/JPEG-LS plane table
+ * - TRUNCATED_DATA: the file is shorter than the format requires
+ * - CORRUPT_PLANE: a compressed plane failed to decode
+ */
+
+class PTMParseError extends Error {
+    /**
+     * @param {string} code - One of the codes above
+     * @param {string} message - Human-readable description
+     * @param {number} offset - Byte offset in the file where the problem was found
+     */
+    constructor(code, message, offset) {
+        super(message);
+        this.name = 'PTMParseError';
+        this.code = code;
+        this.offset = offset;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PTMParseError;
+}
@@ -2,7 +2,9 @@
  * PTM (Polynomial Texture Map) Parser
  *
  * Parses PTM files used in Reflectance Transformation Imaging (RTI).
- * Supports PTM_FORMAT_LRGB and PTM_FORMAT_RGB formats.
+ * Supports PTM_FORMAT_LRGB, PTM_FORMAT_LUM and PTM_FORMAT_RGB formats, uncompressed,
+ * JPEG-compressed (PTM_FORMAT_JPEG_LRGB, PTM_FORMAT_JPEG_RGB) or
+ * JPEG-LS-compressed (PTM_FORMAT_JPEGLS_LRGB, PTM_FORMAT_JPEGLS_RGB).
  *
  * Based on the PTM file format specification by HP Labs.
  * Reference: http://www.hpl.hp.com/research/ptm/downloads/PtmFormat12.pdf
@@ -19,6 +21,9 @@ class PTMParser {
             'PTM_FORMAT_JPEGLS_RGB': 5,
             'PTM_FORMAT_JPEGLS_LRGB': 6
         };
+
+        // Optional callback(loadedBytes, totalBytes) reporting parse progress
+        this.onProgress = null;
     }
 
     /**
@@ -28,36 +33,56 @@ class PTMParser {
      */
     async parse(buffer) {
         const dataView = new DataView(buffer);
+        this.progress = this.createProgress(buffer.byteLength);
 
         let offset = 0;
 
+        // Every PTM starts with "PTM_"; reject anything else before scanning for lines
+        const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+        if (magic !== 'PTM_') {
+            throw this.parseError('NOT_PTM', 'Not a PTM file: it does not start with "PTM_"', 0);
+        }
+
         // Read header lines (PTM format has 6 header lines)
         const headerLines = [];
+        const lineOffsets = [0];
         let currentLine = '';
 
         while (headerLines.length < 6) {
+            if (offset >= buffer.byteLength) {
+                throw this.parseError('TRUNCATED_HEADER',
+                    `File ends after ${headerLines.length} of 6 header lines`, offset);
+            }
+
             const byte = dataView.getUint8(offset++);
             const char = String.fromCharCode(byte);
 
             if (char === '\n') {
                 headerLines.push(currentLine.trim());
+                lineOffsets.push(offset);
                 currentLine = '';
+
+                // Line 0: Version (e.g., "PTM_1.2")
+                if (headerLines.length === 1 && !headerLines[0].startsWith('PTM_1.')) {
+                    throw this.parseError('UNSUPPORTED_VERSION', `Unsupported PTM version: ${headerLines[0]}`, 0);
+                }
             } else if (char !== '\r') {
+                if (currentLine.length >= PTMParser.MAX_HEADER_LINE) {
+                    throw this.parseError('INVALID_HEADER',
+                        `Header line ${headerLines.length + 1} is longer than ${PTMParser.MAX_HEADER_LINE} characters`,
+                        lineOffsets[headerLines.length]);
+                }
                 currentLine += char;
             }
         }
 
         // Parse header
-        // Line 0: Version (e.g., "PTM_1.2")
         const version = headerLines[0];
-        if (!version.startsWith('PTM_1.')) {
-            throw new Error(`Unsupported PTM version: ${version}`);
-        }
 
         // Line 1: Format (e.g., "PTM_FORMAT_LRGB")
         const format = headerLines[1];
         if (!(format in this.PTM_FORMATS)) {
-            throw new Error(`Unsupported PTM format: ${format}`);
+            throw this.parseError('UNSUPPORTED_FORMAT', `Unsupported PTM format: ${format}`, lineOffsets[1]);
         }
 
         // Line 2: Width
@@ -71,6 +96,8 @@ class PTMParser {
         // Line 5: Bias coefficients (6 integers)
         const bias = headerLines[5].split(/\s+/).map(Number);
 
+        this.validateHeader(headerLines, lineOffsets, width, height, scale, bias);
+
         console.log('PTM Header:', {
             version,
             format,
@@ -80,17 +107,23 @@ class PTMParser {
             bias
         });
 
+        // Uncompressed payloads have a fixed size; compressed ones are
+        // checked against their compression header while decoding
+        const payloadSize = this.uncompressedPayloadSize(format, width, height);
+        if (payloadSize !== null && offset + payloadSize > buffer.byteLength) {
+            throw this.parseError('TRUNCATED_DATA',
+                `${format} needs ${payloadSize} bytes of pixel data but only ${buffer.byteLength - offset} remain`,
+                buffer.byteLength);
+        }
+
         // Debug: Show first bytes of pixel data to understand layout
         console.log('=== RAW DATA ANALYSIS ===');
         console.log('Header ended at byte offset:', offset);
-        console.log('Expected pixel data size:', width * height * 9, 'bytes');
+        console.log('Expected pixel data size:', payloadSize, 'bytes');
         console.log('Actual remaining bytes:', buffer.byteLength - offset);
 
         // Dump first 36 bytes (4 pixels worth) to see pattern
-        const firstBytes = [];
-        for (let i = 0; i < 36; i++) {
-            firstBytes.push(dataView.getUint8(offset + i));
-        }
+        const firstBytes = Array.from(new Uint8Array(buffer, offset, Math.min(36, buffer.byteLength - offset)));
         console.log('First 36 bytes of pixel data:', firstBytes);
         console.log('As groups of 9:', [
             firstBytes.slice(0, 9),
@@ -101,23 +134,26 @@ class PTMParser {
 
         // Also dump bytes at start of second scanline
         const secondLineStart = offset + width * 9;
-        const secondLineBytes = [];
-        for (let i = 0; i < 18; i++) {
-            secondLineBytes.push(dataView.getUint8(secondLineStart + i));
+        if (secondLineStart + 18 <= buffer.byteLength) {
+            const secondLineBytes = Array.from(new Uint8Array(buffer, secondLineStart, 18));
+            console.log('First 18 bytes of line 2 (offset ' + secondLineStart + '):', secondLineBytes);
         }
-        console.log('First 18 bytes of line 2 (offset ' + secondLineStart + '):', secondLineBytes);
 
         // Parse pixel data based on format
         let ptmData;
 
-        if (format === 'PTM_FORMAT_LRGB' || format === 'PTM_FORMAT_RGB') {
+        if (format === 'PTM_FORMAT_LRGB' || format === 'PTM_FORMAT_RGB' || format === 'PTM_FORMAT_LUM') {
             ptmData = this.parseUncompressedPTM(buffer, offset, width, height, format, scale, bias);
         } else if (format === 'PTM_FORMAT_JPEG_LRGB' || format === 'PTM_FORMAT_JPEG_RGB') {
             ptmData = await this.parseJPEGPTM(buffer, offset, width, height, format, scale, bias);
+        } else if (format === 'PTM_FORMAT_JPEGLS_LRGB' || format === 'PTM_FORMAT_JPEGLS_RGB') {
+            ptmData = await this.parseJPEGLSPTM(buffer, offset, width, height, format, scale, bias);
         } else {
-            throw new Error(`Format ${format} not yet implemented`);
+            throw this.parseError('UNSUPPORTED_FORMAT', `Format ${format} not yet implemented`, lineOffsets[1]);
         }
 
+        this.progress.report(buffer.byteLength);
+
         return {
             version,
             format,
@@ -130,18 +166,84 @@ class PTMParser {
     }
 
     /**
-     * Parse uncompressed PTM data (LRGB or RGB format)
+     * Throttled progress reporting for one parse (resolved lazily, as below)
+     */
+    createProgress(total) {
+        const Progress = typeof ParseProgress !== 'undefined' ? ParseProgress : require('./parse-progress.js');
+        return new Progress(this.onProgress, total);
+    }
+
+    /**
+     * Create a PTMParseError (resolved lazily so the parser also runs under Node)
+     */
+    parseError(code, message, offset) {
+        const ErrorClass = typeof PTMParseError !== 'undefined' ? PTMParseError : require('./ptm-parse-error.js');
+        return new ErrorClass(code, message, offset);
+    }
+
+    /**
+     * Check header values: positive integer dimensions, six numeric
+     * scale and bias values
+     * @param {Array<string>} headerLines - The six header lines
+     * @param {Array<number>} lineOffsets - Byte offset where each line starts
+     */
+    validateHeader(headerLines, lineOffsets, width, height, scale, bias) {
+        const isDimension = (line, value) => /^\d+$/.test(line) && value > 0;
+
+        if (!isDimension(headerLines[2], width)) {
+            throw this.parseError('INVALID_DIMENSIONS', `Invalid width: "${headerLines[2]}"`, lineOffsets[2]);
+        }
+        if (!isDimension(headerLines[3], height)) {
+            throw this.parseError('INVALID_DIMENSIONS', `Invalid height: "${headerLines[3]}"`, lineOffsets[3]);
+        }
+        if (scale.length !== 6 || !scale.every(Number.isFinite)) {
+            throw this.parseError('INVALID_SCALE',
+                `Expected 6 scale values, got "${headerLines[4]}"`, lineOffsets[4]);
+        }
+        if (bias.length !== 6 || !bias.every(Number.isFinite)) {
+            throw this.parseError('INVALID_BIAS',
+                `Expected 6 bias values, got "${headerLines[5]}"`, lineOffsets[5]);
+        }
+    }
+
+    /**
+     * Bytes of pixel data an uncompressed format needs, or null for
+     * compressed formats
+     */
+    uncompressedPayloadSize(format, width, height) {
+        const bytesPerPixel = {
+            'PTM_FORMAT_LRGB': 9,
+            'PTM_FORMAT_LUM': 6,
+            'PTM_FORMAT_RGB': 18
+        }[format];
+
+        return bytesPerPixel ? width * height * bytesPerPixel : null;
+    }
+
+    /**
+     * Parse uncompressed PTM data (LRGB, LUM or RGB format)
      *
-     * PTM_1.2 uses PLANAR storage:
-     * - First: 6 coefficient planes (each width*height bytes)
-     * - Then: RGB data (width*height*3 bytes)
-     * - Scanlines stored bottom-to-top
+     * PTM_1.2 LRGB stores interleaved coefficients, then RGB data;
+     * PTM_1.2 LUM stores only the interleaved coefficients;
+     * PTM_1.2 RGB stores 18 planar coefficient planes.
+     * Scanlines are stored bottom-to-top in all of them.
      */
     parseUncompressedPTM(buffer, offset, width, height, format, scale, bias) {
         const dataView = new DataView(buffer);
         const pixelCount = width * height;
 
         const isLRGB = format === 'PTM_FORMAT_LRGB';
+        const isLUM = format === 'PTM_FORMAT_LUM';
+
+        if (!isLRGB && !isLUM) {
+            // RGB format: 18 planar coefficient planes (a0-a5 for R, G, then B)
+            const planes = new Array(18);
+            for (let i = 0; i < 18; i++) {
+                planes[i] = new Uint8Array(buffer, offset + i * pixelCount, pixelCount);
+            }
+
+            return this.assemblePlanes(planes, width, height, format, scale, bias);
+        }
 
         // Allocate arrays for coefficients
         const coefficients = new Array(6);
@@ -151,32 +253,38 @@ class PTMParser {
 
         const rgb = new Uint8Array(pixelCount * 3);
 
-        if (isLRGB) {
-            // PTM_1.2 LRGB format:
-            // Coefficients are interleaved per-pixel (6 bytes per pixel)
-            // Then RGB data comes after (3 bytes per pixel)
-            // Scanlines stored bottom-to-top
+        // PTM_1.2 LRGB and LUM formats:
+        // Coefficients are interleaved per-pixel (6 bytes per pixel)
+        // Then, for LRGB only, RGB data comes after (3 bytes per pixel)
+        // Scanlines stored bottom-to-top
 
-            console.log('Parsing PTM_1.2 LRGB - coefficients interleaved, then RGB');
-
-            // Read interleaved coefficients: [a0,a1,a2,a3,a4,a5] per pixel
-            for (let y = 0; y < height; y++) {
-                // PTM stores bottom-to-top, we want top-to-bottom
-                const srcY = height - 1 - y;
+        console.log(`Parsing PTM_1.2 ${format} - coefficients interleaved`);
 
-                for (let x = 0; x < width; x++) {
-                    const srcPixel = srcY * width + x;
-                    const destPixel = y * width + x;
-                    const srcIdx = offset + srcPixel * 6; // 6 coefficients per pixel
+        // Read interleaved coefficients: [a0,a1,a2,a3,a4,a5] per pixel
+        for (let y = 0; y < height; y++) {
+            // PTM stores bottom-to-top, we want top-to-bottom
+            const srcY = height - 1 - y;
 
-                    // Read 6 coefficients for this pixel
-                    for (let c = 0; c < 6; c++) {
-                        const rawValue = dataView.getUint8(srcIdx + c);
-                        coefficients[c][destPixel] = (rawValue - bias[c]) * scale[c];
-                    }
+            for (let x = 0; x < width; x++) {
+                const srcPixel = srcY * width + x;
+                const destPixel = y * width + x;
+                const srcIdx = offset + srcPixel * 6; // 6 coefficients per pixel
+
+                // Read 6 coefficients for this pixel
+                for (let c = 0; c < 6; c++) {
+                    const rawValue = dataView.getUint8(srcIdx + c);
+                    coefficients[c][destPixel] = (rawValue - bias[c]) * scale[c];
                 }
             }
 
+            this.progress.report(offset + (y + 1) * width * 6);
+        }
+
+        if (isLUM) {
+            // Luminance-only files have no colour data: use a neutral base colour
+            // that the viewer can later tint
+            PTMParser.fillBaseColor(rgb, PTMParser.NEUTRAL_BASE_COLOR);
+        } else {
             // Read RGB data (after all coefficient data: 6 bytes * pixelCount)
             const rgbOffset = offset + 6 * pixelCount;
 
@@ -193,118 +301,405 @@ class PTMParser {
                     rgb[destPixel * 3 + 1] = dataView.getUint8(srcIdx + 1);
                     rgb[destPixel * 3 + 2] = dataView.getUint8(srcIdx + 2);
                 }
+
+                this.progress.report(rgbOffset + (y + 1) * width * 3);
             }
+        }
 
-            console.log('Coefficient[0] first 10 values:', Array.from(coefficients[0].slice(0, 10)));
-            console.log('Coefficient[5] first 10 values:', Array.from(coefficients[5].slice(0, 10)));
-            console.log('RGB first 10 values:', Array.from(rgb.slice(0, 10)));
-        } else {
-            // RGB format: 18 coefficient planes (6 per channel)
-            // For simplicity, we'll convert to LRGB-style by averaging coefficients
+        console.log('Coefficient[0] first 10 values:', Array.from(coefficients[0].slice(0, 10)));
+        console.log('Coefficient[5] first 10 values:', Array.from(coefficients[5].slice(0, 10)));
+        console.log('RGB first 10 values:', Array.from(rgb.slice(0, 10)));
 
-            for (let c = 0; c < 6; c++) {
-                // Average across R, G, B channels
-                for (let ch = 0; ch < 3; ch++) {
-                    const planeOffset = offset + (ch * 6 + c) * pixelCount;
+        // Compute normals from coefficients
+        const normals = this.computeNormals(coefficients, width, height);
 
-                    for (let y = 0; y < height; y++) {
-                        const srcY = height - 1 - y;
+        return {
+            coefficients,
+            rgb,
+            normals
+        };
+    }
 
-                        for (let x = 0; x < width; x++) {
-                            const srcIdx = planeOffset + srcY * width + x;
-                            const destIdx = y * width + x;
+    /**
+     * Parse JPEG-compressed PTM data (JPEG_LRGB or JPEG_RGB format)
+     *
+     * After the six standard header lines, compressed PTMs carry:
+     * - Compression parameter (JPEG quality used by the encoder)
+     * - Transforms: one per plane (0 = none, 1 = inverted reference)
+     * - Motion vectors: an (x, y) pair per plane for the reference lookup
+     * - Order: the sequence in which planes must be decoded
+     * - Reference planes: plane used for prediction, or -1 for none
+     * - Compressed sizes and side information sizes, one per plane
+     *
+     * The binary section then holds, for each plane in file order, its
+     * JPEG stream followed by its side information. LRGB files have 9
+     * planes (a0-a5, R, G, B); RGB files have 18 (a0-a5 for R, G, then B).
+     */
+    async parseJPEGPTM(buffer, offset, width, height, format, scale, bias) {
+        const planeCount = format === 'PTM_FORMAT_JPEG_LRGB' ? 9 : 18;
+        const header = this.parseCompressionHeader(buffer, offset, planeCount);
 
-                            const rawValue = dataView.getUint8(srcIdx);
-                            const coefValue = (rawValue - bias[c]) * scale[c];
+        console.log('JPEG PTM compression header:', header);
 
-                            if (ch === 0) {
-                                coefficients[c][destIdx] = coefValue;
-                            } else {
-                                coefficients[c][destIdx] += coefValue;
-                            }
-                        }
-                    }
+        const planes = await this.decodeCompressedPlanes(
+            buffer, header, width, height,
+            (bytes) => this.decodeJPEGPlane(bytes, width, height)
+        );
+
+        return this.assemblePlanes(planes, width, height, format, scale, bias);
+    }
+
+    /**
+     * Parse JPEG-LS-compressed PTM data (JPEGLS_LRGB or JPEGLS_RGB format)
+     *
+     * Uses the same compression header and plane layout as the JPEG variants,
+     * with each plane stored as a lossless or near-lossless JPEG-LS stream.
+     */
+    async parseJPEGLSPTM(buffer, offset, width, height, format, scale, bias) {
+        const planeCount = format === 'PTM_FORMAT_JPEGLS_LRGB' ? 9 : 18;
+        const header = this.parseCompressionHeader(buffer, offset, planeCount);
+
+        console.log('JPEG-LS PTM compression header:', header);
+
+        const Decoder = typeof JPEGLSDecoder !== 'undefined' ? JPEGLSDecoder : require('./jpegls-decoder.js');
+        const decoder = new Decoder();
+
+        const planes = await this.decodeCompressedPlanes(buffer, header, width, height, (bytes) => {
+            const image = decoder.decode(bytes);
+
+            if (image.width !== width || image.height !== height) {
+                throw new Error(`JPEG-LS plane is ${image.width}x${image.height}, expected ${width}x${height}`);
+            }
+            if (image.components.length !== 1 || image.bitsPerSample > 8) {
+                throw new Error('JPEG-LS planes must be single-component 8-bit images');
+            }
+
+            return image.components[0];
+        });
+
+        return this.assemblePlanes(planes, width, height, format, scale, bias);
+    }
+
+    /**
+     * Read the compression header that follows the bias line in compressed PTMs
+     * @returns {Object} Header fields plus the byte offset of the first plane
+     */
+    parseCompressionHeader(buffer, offset, planeCount) {
+        const bytes = new Uint8Array(buffer);
+        let pos = offset;
+
+        // Values are whitespace-separated integers that may span any number of lines
+        const readInts = (count) => {
+            const values = [];
+            while (values.length < count) {
+                while (pos < bytes.length && this.isWhitespace(bytes[pos])) pos++;
+
+                let token = '';
+                while (pos < bytes.length && !this.isWhitespace(bytes[pos])) {
+                    token += String.fromCharCode(bytes[pos++]);
                 }
 
-                // Average the coefficients
-                for (let i = 0; i < pixelCount; i++) {
-                    coefficients[c][i] /= 3;
+                const value = parseInt(token, 10);
+                if (token === '') {
+                    throw this.parseError('TRUNCATED_DATA', 'File ends inside the compression header', pos);
+                }
+                if (isNaN(value)) {
+                    throw this.parseError('INVALID_COMPRESSION_HEADER',
+                        `Invalid compression header value "${token}" at byte ${pos}`, pos);
                 }
+                values.push(value);
             }
+            return values;
+        };
 
-            // For RGB format, compute representative color at neutral light
-            // Use the constant coefficient (a5) for each channel
-            const a5Offset = 5;
-            for (let y = 0; y < height; y++) {
-                const srcY = height - 1 - y;
+        const compressionParam = readInts(1)[0];
+        const transforms = readInts(planeCount);
+        const motionVectors = readInts(planeCount * 2);
+        const order = readInts(planeCount);
+        const referencePlanes = readInts(planeCount);
+        const compressedSizes = readInts(planeCount);
+        const sideInfoSizes = readInts(planeCount);
+
+        // Skip the line break between the text header and the binary planes
+        while (pos < bytes.length && this.isWhitespace(bytes[pos])) pos++;
+
+        // Decoding order must visit every plane once, references must be planes
+        const inRange = (value) => value >= 0 && value < planeCount;
+        if (order.length !== new Set(order).size || !order.every(inRange)) {
+            throw this.parseError('INVALID_COMPRESSION_HEADER',
+                `Invalid plane decoding order: ${order.join(' ')}`, offset);
+        }
+        if (!referencePlanes.every(value => value === -1 || inRange(value))) {
+            throw this.parseError('INVALID_COMPRESSION_HEADER',
+                `Invalid reference planes: ${referencePlanes.join(' ')}`, offset);
+        }
+        if (compressedSizes.some(size => size < 0) || sideInfoSizes.some(size => size < 0)) {
+            throw this.parseError('INVALID_COMPRESSION_HEADER', 'Negative plane size in compression header', offset);
+        }
 
-                for (let x = 0; x < width; x++) {
-                    const destIdx = y * width + x;
+        return {
+            compressionParam,
+            transforms,
+            motionVectors,
+            order,
+            referencePlanes,
+            compressedSizes,
+            sideInfoSizes,
+            dataOffset: pos
+        };
+    }
+
+    isWhitespace(byte) {
+        return byte === 0x20 || byte === 0x09 || byte === 0x0A || byte === 0x0D;
+    }
 
+    /**
+     * Decode every plane of a compressed PTM, applying inter-plane prediction
+     * @param {Function} decodePlane - Async function turning a compressed stream into width*height bytes
+     * @returns {Array<Uint8Array>} Decoded planes in file (bottom-to-top) scanline order
+     */
+    async decodeCompressedPlanes(buffer, header, width, height, decodePlane) {
+        const planeCount = header.order.length;
+        const streams = new Array(planeCount);
+        const sideInfos = new Array(planeCount);
+
+        let pos = header.dataOffset;
+        for (let i = 0; i < planeCount; i++) {
+            const size = header.compressedSizes[i];
+            const infoSize = header.sideInfoSizes[i];
+            if (pos + size + infoSize > buffer.byteLength) {
+                throw this.parseError('TRUNCATED_DATA',
+                    `Compressed plane ${i} extends past the end of the file`, buffer.byteLength);
+            }
+
+            streams[i] = new Uint8Array(buffer, pos, size);
+            pos += size;
+            sideInfos[i] = new Uint8Array(buffer, pos, infoSize);
+            pos += infoSize;
+        }
+
+        // Planes must be decoded in the order given, since a plane may be
+        // predicted from a reference plane that has to be decoded first
+        const planes = new Array(planeCount);
+        let loaded = header.dataOffset;
+        for (const plane of header.order) {
+            let decoded;
+            try {
+                decoded = await decodePlane(streams[plane]);
+            } catch (error) {
+                throw this.parseError('CORRUPT_PLANE',
+                    `Plane ${plane} failed to decode: ${error.message}`, streams[plane].byteOffset);
+            }
+            loaded += streams[plane].length + sideInfos[plane].length;
+            this.progress.report(loaded);
+            const reference = header.referencePlanes[plane];
+
+            if (reference >= 0) {
+                if (!planes[reference]) {
+                    throw this.parseError('INVALID_COMPRESSION_HEADER',
+                        `Plane ${plane} references plane ${reference} before it is decoded`, header.dataOffset);
+                }
+                this.applyPrediction(
+                    decoded,
+                    planes[reference],
+                    width,
+                    height,
+                    header.transforms[plane],
+                    header.motionVectors[plane * 2],
+                    header.motionVectors[plane * 2 + 1]
+                );
+            }
+
+            if (sideInfos[plane].length > 0) {
+                this.applySideInfo(decoded, sideInfos[plane]);
+            }
+
+            planes[plane] = decoded;
+        }
+
+        return planes;
+    }
+
+    /**
+     * Reconstruct a predicted plane from its residual and its reference plane
+     *
+     * The residual is stored offset by 128; the reference is sampled at the
+     * pixel displaced by the motion vector, and inverted when transform is 1.
+     */
+    applyPrediction(residual, reference, width, height, transform, motionX, motionY) {
+        for (let y = 0; y < height; y++) {
+            const refY = Math.max(0, Math.min(height - 1, y + motionY));
+
+            for (let x = 0; x < width; x++) {
+                const refX = Math.max(0, Math.min(width - 1, x + motionX));
+                let refValue = reference[refY * width + refX];
+                if (transform === 1) {
+                    refValue = 255 - refValue;
+                }
+
+                const idx = y * width + x;
+                const value = residual[idx] + refValue - 128;
+                residual[idx] = Math.max(0, Math.min(255, value));
+            }
+        }
+    }
+
+    /**
+     * Apply side information: exact values for pixels the lossy codec got wrong
+     * Each entry is a 32-bit little-endian pixel index followed by one value byte.
+     */
+    applySideInfo(plane, sideInfo) {
+        const view = new DataView(sideInfo.buffer, sideInfo.byteOffset, sideInfo.byteLength);
+
+        for (let i = 0; i + 5 <= sideInfo.length; i += 5) {
+            const pixel = view.getUint32(i, true);
+            if (pixel < plane.length) {
+                plane[pixel] = sideInfo[i + 4];
+            }
+        }
+    }
+
+    /**
+     * Decode one greyscale JPEG plane using the browser's image decoder
+     * @returns {Promise<Uint8Array>} width*height luminance bytes
+     */
+    async decodeJPEGPlane(bytes, width, height) {
+        if (typeof createImageBitmap === 'undefined') {
+            throw new Error('JPEG-compressed PTM files require a browser with createImageBitmap support');
+        }
+
+        const blob = new Blob([bytes], { type: 'image/jpeg' });
+        const bitmap = await createImageBitmap(blob, {
+            colorSpaceConversion: 'none',
+            premultiplyAlpha: 'none'
+        });
+
+        if (bitmap.width !== width || bitmap.height !== height) {
+            bitmap.close();
+            throw new Error(`JPEG plane is ${bitmap.width}x${bitmap.height}, expected ${width}x${height}`);
+        }
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const rgba = ctx.getImageData(0, 0, width, height).data;
+        const plane = new Uint8Array(width * height);
+        for (let i = 0; i < plane.length; i++) {
+            plane[i] = rgba[i * 4];
+        }
+
+        return plane;
+    }
+
+    /**
+     * Build coefficient, RGB and normal data from decoded byte planes
+     *
+     * Planes are in file order (scanlines bottom-to-top):
+     * - LRGB: a0-a5 then R, G, B
+     * - RGB: a0-a5 for each of R, G and B, returned as channelCoefficients
+     *   alongside their per-pixel average in coefficients
+     */
+    assemblePlanes(planes, width, height, format, scale, bias) {
+        const pixelCount = width * height;
+        const isLRGB = format === 'PTM_FORMAT_LRGB' || format === 'PTM_FORMAT_JPEG_LRGB' ||
+            format === 'PTM_FORMAT_JPEGLS_LRGB';
+
+        const coefficients = new Array(6);
+        for (let i = 0; i < 6; i++) {
+            coefficients[i] = new Float32Array(pixelCount);
+        }
+
+        // RGB files keep a full coefficient set per colour channel
+        const channelCoefficients = isLRGB ? null : [0, 1, 2].map(() => {
+            const channel = new Array(6);
+            for (let i = 0; i < 6; i++) {
+                channel[i] = new Float32Array(pixelCount);
+            }
+            return channel;
+        });
+
+        const rgb = new Uint8Array(pixelCount * 3);
+
+        for (let y = 0; y < height; y++) {
+            // PTM stores bottom-to-top, we want top-to-bottom
+            const srcY = height - 1 - y;
+
+            for (let x = 0; x < width; x++) {
+                const srcIdx = srcY * width + x;
+                const destIdx = y * width + x;
+
+                if (isLRGB) {
+                    for (let c = 0; c < 6; c++) {
+                        coefficients[c][destIdx] = (planes[c][srcIdx] - bias[c]) * scale[c];
+                    }
+
+                    for (let ch = 0; ch < 3; ch++) {
+                        rgb[destIdx * 3 + ch] = planes[6 + ch][srcIdx];
+                    }
+                    continue;
+                }
+
+                for (let c = 0; c < 6; c++) {
+                    let sum = 0;
                     for (let ch = 0; ch < 3; ch++) {
-                        const planeOffset = offset + (ch * 6 + a5Offset) * pixelCount;
-                        const srcIdx = planeOffset + srcY * width + x;
-                        rgb[destIdx * 3 + ch] = dataView.getUint8(srcIdx);
+                        const value = (planes[ch * 6 + c][srcIdx] - bias[c]) * scale[c];
+                        channelCoefficients[ch][c][destIdx] = value;
+                        sum += value;
                     }
+
+                    // The channel average drives normals and the grey-level views
+                    coefficients[c][destIdx] = sum / 3;
+                }
+
+                // Base colour is each channel's relit value under head-on light (a5)
+                for (let ch = 0; ch < 3; ch++) {
+                    const a5 = channelCoefficients[ch][5][destIdx];
+                    rgb[destIdx * 3 + ch] = Math.max(0, Math.min(255, Math.round(a5)));
                 }
             }
         }
 
-        // Compute normals from coefficients
         const normals = this.computeNormals(coefficients, width, height);
 
-        return {
+        const result = {
             coefficients,
             rgb,
             normals
         };
-    }
 
-    /**
-     * Parse JPEG-compressed PTM data
-     * This is a simplified parser - full implementation would need JPEG decoding
-     */
-    async parseJPEGPTM(buffer, offset, width, height, format, scale, bias) {
-        // JPEG PTM has additional header lines for compression info
-        // For now, throw an error as full JPEG support requires more work
-        throw new Error('JPEG-compressed PTM files are not yet supported. Please use uncompressed PTM files.');
+        if (channelCoefficients) {
+            result.channelCoefficients = channelCoefficients;
+        }
+
+        return result;
     }
 
     /**
      * Compute surface normals from PTM coefficients
-     * The normal direction can be estimated from the polynomial gradient
+     * @param {Array<Float32Array>} coefficients - a0-a5 planes
+     * @param {string} method - 'malzbender' (default) or 'gradient'
+     * @returns {Float32Array} width*height*3 unit normals
      */
-    computeNormals(coefficients, width, height) {
+    computeNormals(coefficients, width, height, method = 'malzbender') {
         const pixelCount = width * height;
         const normals = new Float32Array(pixelCount * 3);
+        const normalAt = method === 'gradient' ? this.gradientNormal : this.malzbenderNormal;
 
         for (let i = 0; i < pixelCount; i++) {
-            // Coefficients: a0*lu² + a1*lv² + a2*lu*lv + a3*lu + a4*lv + a5
-            // Gradient at (0,0): dL/dlu = a3, dL/dlv = a4
-            // Normal points in direction of maximum luminance
-
-            const a3 = coefficients[3][i]; // dL/dlu at origin
-            const a4 = coefficients[4][i]; // dL/dlv at origin
-
-            // The gradient points toward the light direction that maximizes luminance
-            // For a Lambertian surface, this is the surface normal direction
-            let nx = a3;
-            let ny = a4;
-
-            // Compute nz from the constraint that |n| should be 1
-            // We want nx² + ny² + nz² = 1, assuming normal points "up"
-            const nxySquared = nx * nx + ny * ny;
-            let nz;
-
-            if (nxySquared >= 1) {
-                // Normalize to unit circle in xy plane, z = 0
-                const mag = Math.sqrt(nxySquared);
-                nx /= mag;
-                ny /= mag;
-                nz = 0;
-            } else {
-                nz = Math.sqrt(1 - nxySquared);
-            }
+            const [nx, ny, nz] = normalAt(
+                coefficients[0][i], coefficients[1][i], coefficients[2][i],
+                coefficients[3][i], coefficients[4][i], coefficients[5][i]
+            );
 
             normals[i * 3] = nx;
             normals[i * 3 + 1] = ny;
@@ -314,6 +709,78 @@ class PTMParser {
         return normals;
     }
 
+    /**
+     * Malzbender et al. (2001): the normal is the light direction that
+     * maximizes the biquadratic, where both partial derivatives vanish:
+     *   lu0 = (a2*a4 - 2*a1*a3) / (4*a0*a1 - a2²)
+     *   lv0 = (a2*a3 - 2*a0*a4) / (4*a0*a1 - a2²)
+     * clamped to the unit hemisphere.
+     *
+     * That point is only a maximum where the biquadratic is concave
+     * (4*a0*a1 - a2² > 0 and a0 < 0). Elsewhere it is a minimum or saddle, and
+     * the normal falls back to the direction of (a3, a4, a5): the slope and
+     * head-on value of the fit, which a Lambertian surface makes proportional
+     * to its normal. Pixels with no slope and no head-on light face the viewer.
+     */
+    malzbenderNormal(a0, a1, a2, a3, a4, a5) {
+        const denominator = 4 * a0 * a1 - a2 * a2;
+
+        if (!(denominator > 0 && a0 < 0)) {
+            const nz = Math.max(a5, 0);
+            const mag = Math.sqrt(a3 * a3 + a4 * a4 + nz * nz);
+            return mag > 0 ? [a3 / mag, a4 / mag, nz / mag] : [0, 0, 1];
+        }
+
+        let lu = (a2 * a4 - 2 * a1 * a3) / denominator;
+        let lv = (a2 * a3 - 2 * a0 * a4) / denominator;
+
+        // Non-finite coefficients have no maximum either: face the viewer
+        if (!Number.isFinite(lu) || !Number.isFinite(lv)) {
+            return [0, 0, 1];
+        }
+
+        const luvSquared = lu * lu + lv * lv;
+        if (luvSquared > 1) {
+            const mag = Math.sqrt(luvSquared);
+            return [lu / mag, lv / mag, 0];
+        }
+
+        return [lu, lv, Math.sqrt(1 - luvSquared)];
+    }
+
+    /**
+     * Gradient estimate: (a3, a4), the luminance gradient at (0, 0), as the
+     * normal's x and y. Ignores the quadratic terms; kept for comparison.
+     */
+    gradientNormal(a0, a1, a2, a3, a4) {
+        let nx = a3;
+        let ny = a4;
+
+        // We want nx² + ny² + nz² = 1, assuming normal points "up"
+        const nxySquared = nx * nx + ny * ny;
+        if (nxySquared >= 1) {
+            // Normalize to unit circle in xy plane, z = 0
+            const mag = Math.sqrt(nxySquared);
+            return [nx / mag, ny / mag, 0];
+        }
+
+        return [nx, ny, Math.sqrt(1 - nxySquared)];
+    }
+
+    /**
+     * Fill an RGB array with a single base colour
+     * Used for luminance-only (PTM_FORMAT_LUM) data, which has no colour of its own
+     * @param {Uint8Array} rgb - RGB array (3 bytes per pixel) to fill
+     * @param {Array<number>} color - [r, g, b] in 0-255
+     */
+    static fillBaseColor(rgb, color) {
+        for (let i = 0; i < rgb.length; i += 3) {
+            rgb[i] = color[0];
+            rgb[i + 1] = color[1];
+            rgb[i + 2] = color[2];
+        }
+    }
+
     /**
      * Create a demo PTM dataset (a synthetic bump pattern)
      * Useful for testing when no PTM file is available
@@ -430,6 +897,12 @@ class PTMParser {
     }
 }
 
+// Base colour given to luminance-only PTMs: white, so relit output is plain greyscale
+PTMParser.NEUTRAL_BASE_COLOR = [255, 255, 255];
+
+// Longest header line accepted; real headers stay well under it (six scale values)
+PTMParser.MAX_HEADER_LINE = 256;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PTMParser;
@@ -0,0 +1,53 @@
+/**
+ * PTM/RTI Parsing Worker
+ *
+ * Runs PTMParser and RTIParser (including normal computation) off the main
+ * thread so the page stays responsive while large files load.
+ *
+ * Messages in:  {buffer: ArrayBuffer, kind: 'ptm' | 'rti'}
+ * Messages out: {type: 'ready'} - scripts loaded, safe to transfer the file
+ *               {type: 'progress', loaded, total}
+ *               {type: 'result', data} - typed arrays are transferred, not copied
+ *               {type: 'error', name, message, code, offset} - code and offset
+ *                 are set for PTMParseErrors
+ */
+
+importScripts('jpegls-decoder.js', 'ptm-parse-error.js', 'parse-progress.js', 'ptm-parser.js', 'rti-basis.js', 'rti-parser.js');
+
+/**
+ * Collect the ArrayBuffers behind every typed array in the parsed data
+ */
+function collectTransferables(value, buffers = new Set()) {
+    if (ArrayBuffer.isView(value)) {
+        buffers.add(value.buffer);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectTransferables(item, buffers));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectTransferables(item, buffers));
+    }
+    return buffers;
+}
+
+self.onmessage = async (event) => {
+    const { buffer, kind } = event.data;
+    const parser = kind === 'rti' ? new RTIParser() : new PTMParser();
+
+    parser.onProgress = (loaded, total) => {
+        self.postMessage({ type: 'progress', loaded, total });
+    };
+
+    try {
+        const data = await parser.parse(buffer);
+        self.postMessage({ type: 'result', data }, Array.from(collectTransferables(data)));
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            name: error.name,
+            message: error.message,
+            code: error.code,
+            offset: error.offset
+        });
+    }
+};
+
+self.postMessage({ type: 'ready' });
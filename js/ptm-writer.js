@@ -0,0 +1,162 @@
+/**
+ * PTM (Polynomial Texture Map) Writer
+ *
+ * Serializes the object PTMParser.parse returns back to an uncompressed
+ * PTM_1.2 file, in PTM_FORMAT_LRGB or PTM_FORMAT_RGB layout:
+ * - LRGB: interleaved a0-a5 per pixel, then interleaved R, G, B per pixel
+ * - RGB: 18 planes, a0-a5 for R, then for G, then for B
+ * Scanlines are written bottom-to-top, as PTMParser expects.
+ *
+ * Scale and bias are recomputed from the coefficient ranges, so converted,
+ * cropped or synthesized data can be saved. Each coefficient is stored as
+ * raw = round(value / scale + bias), which PTMParser reads back as
+ * (raw - bias) * scale.
+ */
+
+class PTMWriter {
+    constructor() {
+        this.FORMATS = ['PTM_FORMAT_LRGB', 'PTM_FORMAT_RGB'];
+    }
+
+    /**
+     * Write PTM data to a PTM_1.2 file
+     * @param {Object} ptmData - Parsed PTM data (coefficients, rgb, optional channelCoefficients)
+     * @param {string} format - 'PTM_FORMAT_LRGB' or 'PTM_FORMAT_RGB'; defaults to RGB
+     *   for data with per-channel coefficients and LRGB otherwise
+     * @returns {ArrayBuffer} The file contents
+     */
+    write(ptmData, format) {
+        if (!ptmData.coefficients) {
+            throw new Error(`${ptmData.format} data has no PTM coefficients and cannot be saved as a PTM`);
+        }
+
+        format = format || (ptmData.channelCoefficients ? 'PTM_FORMAT_RGB' : 'PTM_FORMAT_LRGB');
+        if (!this.FORMATS.includes(format)) {
+            throw new Error(`Cannot write ${format}: only PTM_FORMAT_LRGB and PTM_FORMAT_RGB are supported`);
+        }
+
+        const { width, height } = ptmData;
+        const pixelCount = width * height;
+
+        // Coefficient sets to store: one luminance set for LRGB, one per channel for RGB
+        const sets = format === 'PTM_FORMAT_RGB'
+            ? this.channelCoefficients(ptmData)
+            : [ptmData.coefficients];
+
+        const { scale, bias } = this.computeScaleBias(sets, pixelCount);
+
+        const header = [
+            'PTM_1.2',
+            format,
+            String(width),
+            String(height),
+            scale.join(' '),
+            bias.join(' ')
+        ].join('\n') + '\n';
+
+        const headerBytes = new TextEncoder().encode(header);
+        const payloadSize = pixelCount * (format === 'PTM_FORMAT_RGB' ? 18 : 9);
+        const bytes = new Uint8Array(headerBytes.length + payloadSize);
+        bytes.set(headerBytes);
+
+        const offset = headerBytes.length;
+        const quantize = (value, c) => Math.max(0, Math.min(255, Math.round(value / scale[c] + bias[c])));
+
+        for (let y = 0; y < height; y++) {
+            // PTM stores bottom-to-top
+            const destY = height - 1 - y;
+
+            for (let x = 0; x < width; x++) {
+                const srcPixel = y * width + x;
+                const destPixel = destY * width + x;
+
+                if (format === 'PTM_FORMAT_RGB') {
+                    for (let ch = 0; ch < 3; ch++) {
+                        for (let c = 0; c < 6; c++) {
+                            const plane = ch * 6 + c;
+                            bytes[offset + plane * pixelCount + destPixel] = quantize(sets[ch][c][srcPixel], c);
+                        }
+                    }
+                } else {
+                    for (let c = 0; c < 6; c++) {
+                        bytes[offset + destPixel * 6 + c] = quantize(sets[0][c][srcPixel], c);
+                    }
+
+                    const rgbIdx = offset + 6 * pixelCount + destPixel * 3;
+                    bytes[rgbIdx] = ptmData.rgb[srcPixel * 3];
+                    bytes[rgbIdx + 1] = ptmData.rgb[srcPixel * 3 + 1];
+                    bytes[rgbIdx + 2] = ptmData.rgb[srcPixel * 3 + 2];
+                }
+            }
+        }
+
+        return bytes.buffer;
+    }
+
+    /**
+     * Per-channel coefficients for RGB output
+     * LRGB and LUM data relight as rgb * L, so each channel's polynomial is
+     * the luminance polynomial scaled by that channel's base colour.
+     */
+    channelCoefficients(ptmData) {
+        if (ptmData.channelCoefficients) {
+            return ptmData.channelCoefficients;
+        }
+
+        const pixelCount = ptmData.width * ptmData.height;
+        const channels = [];
+
+        for (let ch = 0; ch < 3; ch++) {
+            const channel = [];
+            for (let c = 0; c < 6; c++) {
+                const plane = new Float32Array(pixelCount);
+                for (let i = 0; i < pixelCount; i++) {
+                    plane[i] = ptmData.coefficients[c][i] * ptmData.rgb[i * 3 + ch] / 255;
+                }
+                channel.push(plane);
+            }
+            channels.push(channel);
+        }
+
+        return channels;
+    }
+
+    /**
+     * Choose a scale and integer bias per coefficient covering its range
+     * over every coefficient set. The range always includes 0, so the bias
+     * stays in 0-255 as PTMfitter and RTIBuilder write it. One raw step of
+     * slack is left for the bias rounding, so the extremes never clip.
+     * @param {Array<Array<Float32Array>>} sets - Coefficient sets, six planes each
+     * @returns {Object} {scale: Array(6), bias: Array(6)}
+     */
+    computeScaleBias(sets, pixelCount) {
+        const scale = [];
+        const bias = [];
+
+        for (let c = 0; c < 6; c++) {
+            let min = Infinity, max = -Infinity;
+            for (const set of sets) {
+                for (let i = 0; i < pixelCount; i++) {
+                    const value = set[c][i];
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+            }
+
+            min = Math.min(min, 0);
+            max = Math.max(max, 0);
+
+            // An all-zero plane is stored as raw 0 with bias 0
+            const coeffScale = max > min ? (max - min) / 254 : 1;
+            scale.push(coeffScale);
+            bias.push(Math.round(-min / coeffScale));
+        }
+
+        return { scale, bias };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PTMWriter;
+}
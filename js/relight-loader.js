@@ -0,0 +1,187 @@
+/**
+ * Relight Dataset Loader
+ *
+ * Loads multi-file RTI datasets written by Relight (and read by OpenLIME):
+ * an info.json description plus plane_0.jpg, plane_1.jpg, ... images,
+ * each image holding three coefficient planes in its R, G and B channels.
+ *
+ * info.json fields used:
+ * - width, height, format ('jpg' or 'png'), nplanes
+ * - type: 'ptm', 'hsh', 'rbf' or 'bilinear' ('bln')
+ * - colorspace: 'rgb', 'lrgb', 'ycc' or 'mrgb'
+ * - scale, bias: one value per plane, either top-level or in materials[0]
+ * - lights, sigma (rbf), resolution (bilinear) and basis (rbf, bilinear)
+ *
+ * Coefficient = (byte / 255 - bias) * scale. For 'lrgb' data the first
+ * image is the base colour and the remaining planes are luminance terms.
+ */
+
+class RelightLoader {
+    constructor() {
+        this.BASIS_TYPES = {
+            ptm: 'ptm',
+            hsh: 'hsh',
+            rbf: 'rbf',
+            bilinear: 'bilinear',
+            bln: 'bilinear'
+        };
+
+        this.COLORSPACES = ['rgb', 'lrgb', 'ycc', 'mrgb'];
+    }
+
+    /**
+     * Check whether a set of files looks like a Relight dataset
+     * @param {Array<File>} files - Dropped or selected files
+     */
+    isDataset(files) {
+        return files.some(file => this.baseName(file) === 'info.json');
+    }
+
+    /**
+     * Load a Relight dataset from its files
+     * @param {Array<File>} files - info.json and the plane images (folder contents)
+     * @returns {Object} Parsed data in the shape RTIRenderer.loadPTM consumes
+     */
+    async load(files) {
+        const byName = new Map(files.map(file => [this.baseName(file), file]));
+
+        const infoFile = byName.get('info.json');
+        if (!infoFile) {
+            throw new Error('Relight dataset has no info.json');
+        }
+
+        const info = JSON.parse(await infoFile.text());
+        console.log('Relight info:', info);
+
+        const basis = this.BASIS_TYPES[info.type];
+        if (!basis) {
+            throw new Error(`Unsupported Relight basis type: ${info.type}`);
+        }
+        const colorspace = info.colorspace || 'rgb';
+        if (!this.COLORSPACES.includes(colorspace)) {
+            throw new Error(`Unsupported Relight colour space: ${colorspace}`);
+        }
+        if (colorspace === 'mrgb' && basis !== 'rbf' && basis !== 'bilinear') {
+            throw new Error(`The mrgb colour space needs an rbf or bilinear basis, not ${info.type}`);
+        }
+
+        const { width, height } = info;
+        const nplanes = info.nplanes;
+        const material = info.materials ? info.materials[0] : info;
+        const scale = material.scale;
+        const bias = material.bias;
+        if (!scale || !bias || scale.length < nplanes || bias.length < nplanes) {
+            throw new Error('Relight info.json needs a scale and bias for every plane');
+        }
+
+        // Decode plane images, three planes per image
+        const extension = info.format || 'jpg';
+        const imageCount = Math.ceil(nplanes / 3);
+        const planes = [];
+        let rgb = null;
+
+        for (let j = 0; j < imageCount; j++) {
+            const name = `plane_${j}.${extension}`;
+            const file = byName.get(name);
+            if (!file) {
+                throw new Error(`Relight dataset is missing ${name}`);
+            }
+
+            const rgba = await this.decodeImage(file, width, height);
+
+            if (colorspace === 'lrgb' && j === 0) {
+                rgb = new Uint8Array(width * height * 3);
+                for (let i = 0; i < width * height; i++) {
+                    rgb[i * 3] = rgba[i * 4];
+                    rgb[i * 3 + 1] = rgba[i * 4 + 1];
+                    rgb[i * 3 + 2] = rgba[i * 4 + 2];
+                }
+                continue;
+            }
+
+            for (let k = 0; k < 3 && j * 3 + k < nplanes; k++) {
+                const p = j * 3 + k;
+                const plane = new Float32Array(width * height);
+                for (let i = 0; i < plane.length; i++) {
+                    plane[i] = (rgba[i * 4 + k] / 255 - bias[p]) * scale[p];
+                }
+                planes.push(plane);
+            }
+        }
+
+        const basisParams = {};
+        if (basis === 'hsh') {
+            basisParams.terms = colorspace === 'lrgb' ? planes.length : planes.length / 3;
+        }
+        if (basis === 'rbf') {
+            basisParams.lights = info.lights;
+            basisParams.sigma = info.sigma;
+        }
+        if (basis === 'bilinear') {
+            basisParams.resolution = info.resolution;
+        }
+        if (colorspace === 'mrgb') {
+            basisParams.basis = info.basis;
+        }
+
+        const model = {
+            version: 'Relight',
+            format: `RELIGHT_${basis.toUpperCase()}`,
+            basis,
+            colorspace,
+            basisParams,
+            width,
+            height,
+            scale,
+            bias,
+            planes
+        };
+
+        model.rgb = rgb || RTIBasis.modelBaseColor(model);
+        model.normals = RTIBasis.modelNormals(model);
+
+        return model;
+    }
+
+    /**
+     * File name without any folder path
+     */
+    baseName(file) {
+        return file.name.split('/').pop().toLowerCase();
+    }
+
+    /**
+     * Decode a JPEG or PNG plane image to RGBA bytes
+     */
+    async decodeImage(file, width, height) {
+        const bitmap = await createImageBitmap(file, {
+            colorSpaceConversion: 'none',
+            premultiplyAlpha: 'none'
+        });
+
+        if (bitmap.width !== width || bitmap.height !== height) {
+            bitmap.close();
+            throw new Error(`${file.name} is ${bitmap.width}x${bitmap.height}, expected ${width}x${height}`);
+        }
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        return ctx.getImageData(0, 0, width, height).data;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RelightLoader;
+}
@@ -0,0 +1,500 @@
+/**
+ * Render Modes
+ *
+ * Registry of named view modes. Each mode supplies the last stage of the
+ * relighting fragment shader: a GLSL ES 1.00 function
+ *
+ *     vec4 shade(Surface s)
+ *
+ * that turns the relit surface at a pixel into a colour. RTIRenderer compiles
+ * one program per mode, so a mode only pays for what it uses. The Surface
+ * struct carries:
+ *
+ *     vec3 color;          // Relit colour, clamped to 0-1
+ *     vec3 relit;          // Unclamped relit value per channel (the luminance
+ *                          // in every channel for luminance-only models)
+ *     vec3 albedo;         // Stored colour that relit modulates (1.0 for per-channel models)
+ *     vec3 curvature;      // Quadratic part of a PTM polynomial about the normal,
+ *                          // per channel like relit (0.0 for other bases)
+ *     float luminance;     // Relit luminance (0-1, not clamped)
+ *     float baseLuminance; // Luminance under head-on light
+ *     vec3 normal;         // Surface normal from the normal map
+ *     vec3 light;          // Unit light vector
+ *
+ * Modes that filter the image can relight neighbouring texels with
+ * surfaceAt(v_texCoord + offset * u_texelSize). On zoomed-out pyramid levels a
+ * texel covers u_pixelsPerTexel image pixels; modes that measure slopes divide
+ * by it to stay in image pixels.
+ *
+ * A mode also declares its uniforms ({name: {type, value}}, declared in the
+ * shader as u_<name>), the sliders that drive them, and optionally a `cpu`
+ * function with the same maths for SoftwareRenderer and the command-line tool:
+ *
+ *     cpu(surface, params, out, at) // surface: the fields above as numbers and
+ *                                   // [x, y, z] arrays; writes RGB 0-1 into out.
+ *                                   // at(dx, dy) returns the surface of a
+ *                                   // neighbouring pixel (a shared object, valid
+ *                                   // until the next call)
+ *
+ * Modes that show a quantity in false colour can supply a legend, which the
+ * viewer draws as a colour bar next to the image and exports record:
+ *
+ *     legend(params) // returns {title, min, max, colors, minLabel, maxLabel}:
+ *                    // the colour map's stops as [r, g, b] 0-1, evenly spaced
+ *                    // from min to max, and words for the two ends
+ *
+ * With several lights (see Lights) a mode is shaded once per light, and the
+ * results are summed, each scaled by its light's colour and intensity; shade()
+ * and cpu() both clamp their result to 0-1 first, so the sums agree. Modes
+ * that do not depend on the light, such as the normal map, set lit: false
+ * and are shaded once.
+ *
+ * Parameters are shared by name between modes, so e.g. the unsharp masking
+ * sliders keep their values when switching between the two unsharp modes.
+ *
+ * Register in-house modes with RTIRenderer.registerMode (or RenderModes.register)
+ * from a script loaded before app.js; the view mode buttons are generated from
+ * the registry when the viewer starts.
+ */
+
+class RenderModes {
+    /**
+     * Add or replace a view mode
+     * @param {string} name - Identifier used by setViewMode (letters, digits, - and _)
+     * @param {Object} mode - {label, shader, uniforms, controls, cpu, supports, lit, legend}
+     *   - label: Button text (defaults to the name)
+     *   - shader: GLSL source defining vec4 shade(Surface s)
+     *   - uniforms: {name: {type, value}} with type float, int, bool, vec2, vec3 or vec4
+     *   - controls: [{uniform, label, min, max, step}] sliders for float uniforms
+     *   - cpu: Optional (surface, params, out, at) => void CPU implementation
+     *   - supports: Optional (ptmData) => boolean, for modes that only apply to some models
+     *   - lit: false for modes independent of the light, shaded once rather than per light
+     *   - legend: Optional (params) => {title, min, max, colors, minLabel, maxLabel} for false-colour modes
+     * @returns {Object} The registered mode
+     */
+    static register(name, mode) {
+        if (!/^[A-Za-z][A-Za-z0-9_-]*$/.test(name)) {
+            throw new Error(`Invalid view mode name "${name}"`);
+        }
+        if (typeof mode.shader !== 'string' || !/\bvec4\s+shade\s*\(\s*Surface\b/.test(mode.shader)) {
+            throw new Error(`View mode "${name}" must define vec4 shade(Surface s) in its shader`);
+        }
+
+        const uniforms = mode.uniforms || {};
+        Object.entries(uniforms).forEach(([uniform, spec]) => {
+            if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(uniform)) {
+                throw new Error(`View mode "${name}": invalid uniform name "${uniform}"`);
+            }
+            if (!RenderModes.UNIFORM_TYPES.includes(spec.type)) {
+                throw new Error(`View mode "${name}": uniform "${uniform}" has unsupported type "${spec.type}"`);
+            }
+        });
+
+        const controls = mode.controls || [];
+        controls.forEach(control => {
+            const spec = uniforms[control.uniform];
+            if (!spec || spec.type !== 'float') {
+                throw new Error(`View mode "${name}": control "${control.label}" needs a float uniform`);
+            }
+        });
+
+        const registered = Object.assign({}, mode, {
+            name,
+            label: mode.label || name,
+            uniforms,
+            controls,
+            lit: mode.lit !== false
+        });
+
+        if (RenderModes.modes.has(name)) {
+            console.log(`Replacing view mode "${name}"`);
+        }
+        RenderModes.modes.set(name, registered);
+        return registered;
+    }
+
+    /**
+     * Look up a registered mode
+     */
+    static get(name) {
+        const mode = RenderModes.modes.get(name);
+        if (!mode) {
+            throw new Error(`Unknown view mode "${name}"`);
+        }
+        return mode;
+    }
+
+    /**
+     * Registered modes in registration order
+     * @returns {Array<Object>}
+     */
+    static list() {
+        return Array.from(RenderModes.modes.values());
+    }
+
+    /**
+     * Values of a mode's uniforms: the given parameters where set, otherwise the defaults
+     * @param {string} name - Mode name
+     * @param {Object} params - {uniform: value} overrides
+     */
+    static params(name, params = {}) {
+        const values = {};
+        Object.entries(RenderModes.get(name).uniforms).forEach(([uniform, spec]) => {
+            values[uniform] = params[uniform] !== undefined ? params[uniform] : spec.value;
+        });
+        return values;
+    }
+
+    /**
+     * One-line description of a mode's legend, as recorded in exported images
+     * @param {string} name - Mode name
+     * @param {Object} params - {uniform: value} overrides
+     * @returns {string|null} null for modes without a legend
+     */
+    static describeLegend(name, params = {}) {
+        const mode = RenderModes.get(name);
+        if (!mode.legend) {
+            return null;
+        }
+        const { title, min, max, minLabel, maxLabel } = mode.legend(RenderModes.params(name, params));
+        return `${title}: ${min} (${minLabel}) to ${max} (${maxLabel})`;
+    }
+}
+
+RenderModes.UNIFORM_TYPES = ['float', 'int', 'bool', 'vec2', 'vec3', 'vec4'];
+RenderModes.modes = new Map();
+
+// Built-in modes
+
+RenderModes.register('default', {
+    label: 'Default',
+    shader: `
+        vec4 shade(Surface s) {
+            return vec4(s.color, 1.0);
+        }
+    `,
+    cpu(surface, params, out) {
+        for (let k = 0; k < 3; k++) {
+            out[k] = surface.color[k];
+        }
+    }
+});
+
+// Malzbender et al. 2001: scale the curvature (quadratic terms) of the PTM
+// about the point of maximum luminance, i.e. the normal, keeping its value
+// and slope there. Gains above 1 make fine surface shape stand out.
+RenderModes.register('diffuse-gain', {
+    label: 'Diffuse Gain',
+    shader: `
+        vec4 shade(Surface s) {
+            vec3 relit = s.relit + (u_diffuseGain - 1.0) * s.curvature;
+            return vec4(s.albedo * clamp(relit, 0.0, 1.0), 1.0);
+        }
+    `,
+    uniforms: {
+        diffuseGain: { type: 'float', value: 2 }
+    },
+    controls: [
+        { uniform: 'diffuseGain', label: 'Gain', min: 0, max: 10, step: 0.1 }
+    ],
+    cpu(surface, params, out) {
+        for (let k = 0; k < 3; k++) {
+            const relit = surface.relit[k] + (params.diffuseGain - 1) * surface.curvature[k];
+            out[k] = surface.albedo[k] * Math.min(1, Math.max(0, relit));
+        }
+    },
+    supports: (ptmData) => !ptmData.planes
+});
+
+// Phong highlight computed from the normals, added to a dimmed relit colour:
+// kd * colour + ks * (n . h)^exponent (Malzbender et al. 2001)
+RenderModes.register('specular', {
+    label: 'Specular',
+    shader: `
+        vec4 shade(Surface s) {
+            vec3 halfVec = normalize(s.light + vec3(0.0, 0.0, 1.0));
+            float nDotH = max(0.0, dot(normalize(s.normal), halfVec));
+            float highlight = u_specularity * pow(nDotH, u_highlightExponent);
+            return vec4(clamp(s.color * u_diffuseColor + highlight, 0.0, 1.0), 1.0);
+        }
+    `,
+    uniforms: {
+        diffuseColor: { type: 'float', value: 0.4 },
+        specularity: { type: 'float', value: 0.7 },
+        highlightExponent: { type: 'float', value: 75 }
+    },
+    controls: [
+        { uniform: 'diffuseColor', label: 'Diffuse Colour', min: 0, max: 1, step: 0.01 },
+        { uniform: 'specularity', label: 'Specularity', min: 0, max: 1, step: 0.01 },
+        { uniform: 'highlightExponent', label: 'Highlight Exponent', min: 1, max: 150, step: 1 }
+    ],
+    cpu(surface, params, out) {
+        const [nx, ny, nz] = surface.normal;
+        const [lx, ly, lz] = surface.light;
+        const normalLength = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+        const halfLength = Math.sqrt(lx * lx + ly * ly + (lz + 1) * (lz + 1)) || 1;
+        const nDotH = Math.max(0, (nx * lx + ny * ly + nz * (lz + 1)) / (normalLength * halfLength));
+        const highlight = params.specularity * Math.pow(nDotH, params.highlightExponent);
+
+        for (let k = 0; k < 3; k++) {
+            out[k] = Math.min(1, Math.max(0, surface.color[k] * params.diffuseColor + highlight));
+        }
+    }
+});
+
+// Unsharp masking: value + amount * (value - blurred value), with a 3x3
+// binomial blur whose taps are `radius` texels apart. Radius is at most 3 so
+// the taps stay inside the border of tiled images (see RTIRenderer.TILE_BORDER).
+RenderModes.UNSHARP_TAPS = [[-1, -1, 1], [0, -1, 2], [1, -1, 1], [-1, 0, 2], [0, 0, 4], [1, 0, 2], [-1, 1, 1], [0, 1, 2], [1, 1, 1]];
+
+RenderModes.UNSHARP_UNIFORMS = {
+    sharpenAmount: { type: 'float', value: 2 },
+    sharpenRadius: { type: 'float', value: 1 }
+};
+
+RenderModes.UNSHARP_CONTROLS = [
+    { uniform: 'sharpenAmount', label: 'Amount', min: 0, max: 10, step: 0.1 },
+    { uniform: 'sharpenRadius', label: 'Radius', min: 1, max: 3, step: 1 }
+];
+
+// GLSL: the binomial blur of one Surface field around the current texel
+RenderModes.unsharpBlur = (field) => RenderModes.UNSHARP_TAPS.map(([dx, dy, weight]) =>
+    `surfaceAt(v_texCoord + vec2(${dx.toFixed(1)}, ${dy.toFixed(1)}) * u_sharpenRadius * u_texelSize).${field} * ${weight / 16}`
+).join(' +\n                ');
+
+// CPU: the same blur of one surface field, from the neighbour accessor
+RenderModes.unsharpBlurCPU = (field, at, radius) => {
+    const blurred = [0, 0, 0];
+    RenderModes.UNSHARP_TAPS.forEach(([dx, dy, weight]) => {
+        const neighbour = at(dx * radius, dy * radius);
+        for (let k = 0; k < 3; k++) {
+            blurred[k] += neighbour[field][k] * weight / 16;
+        }
+    });
+    return blurred;
+};
+
+// Luminance of the relit image is sharpened; colour is left alone, as when
+// only Y of YUV is filtered
+RenderModes.register('luminance-unsharp', {
+    label: 'Luminance Unsharp',
+    shader: `
+        const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+
+        vec4 shade(Surface s) {
+            vec3 blurred = ${RenderModes.unsharpBlur('color')};
+            float detail = dot(s.color - blurred, LUMA);
+            return vec4(clamp(s.color + u_sharpenAmount * detail, 0.0, 1.0), 1.0);
+        }
+    `,
+    uniforms: RenderModes.UNSHARP_UNIFORMS,
+    controls: RenderModes.UNSHARP_CONTROLS,
+    cpu(surface, params, out, at) {
+        const color = surface.color.slice();
+        const blurred = RenderModes.unsharpBlurCPU('color', at, Math.round(params.sharpenRadius));
+
+        const detail = (color[0] - blurred[0]) * 0.299 + (color[1] - blurred[1]) * 0.587 + (color[2] - blurred[2]) * 0.114;
+        for (let k = 0; k < 3; k++) {
+            out[k] = Math.min(1, Math.max(0, color[k] + params.sharpenAmount * detail));
+        }
+    }
+});
+
+// The model's coefficients are sharpened before relighting. The models are
+// linear in their coefficients, so this equals sharpening the unclamped relit
+// value, which then modulates the stored colour as usual.
+RenderModes.register('coefficient-unsharp', {
+    label: 'Coefficient Unsharp',
+    shader: `
+        vec4 shade(Surface s) {
+            vec3 blurred = ${RenderModes.unsharpBlur('relit')};
+            vec3 relit = s.relit + u_sharpenAmount * (s.relit - blurred);
+            return vec4(s.albedo * clamp(relit, 0.0, 1.0), 1.0);
+        }
+    `,
+    uniforms: RenderModes.UNSHARP_UNIFORMS,
+    controls: RenderModes.UNSHARP_CONTROLS,
+    cpu(surface, params, out, at) {
+        const relit = surface.relit.slice();
+        const albedo = surface.albedo.slice();
+        const blurred = RenderModes.unsharpBlurCPU('relit', at, Math.round(params.sharpenRadius));
+
+        for (let k = 0; k < 3; k++) {
+            const sharpened = relit[k] + params.sharpenAmount * (relit[k] - blurred[k]);
+            out[k] = albedo[k] * Math.min(1, Math.max(0, sharpened));
+        }
+    }
+});
+
+RenderModes.register('normals', {
+    label: 'Normals',
+    lit: false,
+    shader: `
+        vec4 shade(Surface s) {
+            return vec4(s.normal * 0.5 + 0.5, 1.0);
+        }
+    `,
+    cpu(surface, params, out) {
+        for (let k = 0; k < 3; k++) {
+            out[k] = surface.normal[k] * 0.5 + 0.5;
+        }
+    }
+});
+
+// Slope of the normal map, `normalScale` texels to either side of the
+// current texel, with a Sobel stencil (differences smoothed 1-2-1 across) to
+// keep the per-pixel noise of estimated normals out: dx along the image's x
+// axis, dy up the image (texel rows run down), per full-resolution image
+// pixel, so zoomed-out pyramid levels (u_pixelsPerTexel > 1) read the same. Their x and y parts
+// give the divergence of the normals' slope, i.e. twice the mean curvature of
+// the surface, positive on convex (raised) shapes.
+RenderModes.SOBEL_TAPS = [[-1, -1, 1], [0, -1, 2], [1, -1, 1], [-1, 0, 2], [1, 0, 2], [-1, 1, 1], [0, 1, 2], [1, 1, 1]];
+
+RenderModes.NORMAL_UNIFORMS = {
+    normalScale: { type: 'float', value: 3 }
+};
+
+RenderModes.NORMAL_SCALE_CONTROL = { uniform: 'normalScale', label: 'Scale (pixels)', min: 1, max: 3, step: 1 };
+
+// GLSL: normalDifferences(out dx, out dy) around the current texel
+RenderModes.NORMAL_DIFFERENCES = `
+        void normalDifferences(out vec3 dx, out vec3 dy) {
+            vec3 normal;
+            dx = vec3(0.0);
+            dy = vec3(0.0);
+${RenderModes.SOBEL_TAPS.map(([x, y, weight]) => [
+    `normal = surfaceAt(v_texCoord + vec2(${x.toFixed(1)}, ${y.toFixed(1)}) * u_normalScale * u_texelSize).normal;`,
+    x ? `dx += ${(x * weight).toFixed(1)} * normal;` : '',
+    y ? `dy += ${(-y * weight).toFixed(1)} * normal;` : ''
+].filter(Boolean).map(line => `            ${line}\n`).join('')).join('')}            dx /= 8.0 * u_normalScale * u_pixelsPerTexel;
+            dy /= 8.0 * u_normalScale * u_pixelsPerTexel;
+        }
+`;
+
+// CPU: the same differences, from the neighbour accessor
+RenderModes.normalDifferencesCPU = (at, scale) => {
+    const dx = [0, 0, 0];
+    const dy = [0, 0, 0];
+    RenderModes.SOBEL_TAPS.forEach(([x, y, weight]) => {
+        const { normal } = at(x * scale, y * scale);
+        for (let k = 0; k < 3; k++) {
+            dx[k] += x * weight * normal[k] / (8 * scale);
+            dy[k] -= y * weight * normal[k] / (8 * scale);
+        }
+    });
+    return { dx, dy };
+};
+
+// Line drawing for epigraphy and illustration, from the normal map (for PTMs
+// the normals PTMParser.computeNormals estimates): ink where the normals turn
+// sharply (creases, edges of cuts) and along concave valleys (the floor of
+// incisions and tool marks), on white paper with optional shading from the
+// first light. Unlit, so the drawing stays black on white under coloured lights.
+RenderModes.register('sketch', {
+    label: 'Sketch',
+    lit: false,
+    shader: RenderModes.NORMAL_DIFFERENCES + `
+        vec4 shade(Surface s) {
+            vec3 dx, dy;
+            normalDifferences(dx, dy);
+            float crease = max(length(dx), length(dy));
+            float valley = max(0.0, -0.5 * (dx.x + dy.y));
+            float edge = crease + u_valleyWeight * valley;
+            float ink = smoothstep(u_lineThreshold, 2.0 * u_lineThreshold, edge);
+            float lambert = max(0.0, dot(normalize(s.normal), s.light));
+            float paper = mix(1.0, 0.35 + 0.65 * lambert, u_sketchShading);
+            return vec4(vec3(paper * (1.0 - ink)), 1.0);
+        }
+    `,
+    uniforms: Object.assign({
+        lineThreshold: { type: 'float', value: 0.15 },
+        valleyWeight: { type: 'float', value: 2 },
+        sketchShading: { type: 'float', value: 0 }
+    }, RenderModes.NORMAL_UNIFORMS),
+    controls: [
+        { uniform: 'lineThreshold', label: 'Line Threshold', min: 0.01, max: 0.5, step: 0.01 },
+        { uniform: 'valleyWeight', label: 'Valley Weight', min: 0, max: 10, step: 0.1 },
+        { uniform: 'sketchShading', label: 'Shading', min: 0, max: 1, step: 0.05 },
+        RenderModes.NORMAL_SCALE_CONTROL
+    ],
+    cpu(surface, params, out, at) {
+        const [nx, ny, nz] = surface.normal;
+        const [lx, ly, lz] = surface.light;
+        const { dx, dy } = RenderModes.normalDifferencesCPU(at, Math.round(params.normalScale));
+
+        const crease = Math.max(Math.hypot(...dx), Math.hypot(...dy));
+        const valley = Math.max(0, -0.5 * (dx[0] + dy[1]));
+        const edge = crease + params.valleyWeight * valley;
+        const t = Math.min(1, Math.max(0, (edge - params.lineThreshold) / params.lineThreshold));
+        const ink = t * t * (3 - 2 * t);
+
+        const normalLength = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+        const lambert = Math.max(0, (nx * lx + ny * ly + nz * lz) / normalLength);
+        const paper = 1 + (0.35 + 0.65 * lambert - 1) * params.sketchShading;
+        out[0] = out[1] = out[2] = paper * (1 - ink);
+    }
+});
+
+// Diverging colour map of the mean-curvature view: blue (concave) through
+// white (flat) to red (convex), after ColorBrewer's RdBu
+RenderModes.CURVATURE_COLORS = [
+    [0.129, 0.400, 0.675],
+    [0.573, 0.773, 0.871],
+    [0.969, 0.969, 0.969],
+    [0.957, 0.647, 0.510],
+    [0.698, 0.094, 0.169]
+];
+
+// Mean curvature in false colour, per image pixel, saturating at +-curvatureRange
+RenderModes.register('curvature', {
+    label: 'Mean Curvature',
+    lit: false,
+    shader: RenderModes.NORMAL_DIFFERENCES + `
+        vec3 curvatureColor(float t) {
+            t = clamp(t, 0.0, 1.0) * ${(RenderModes.CURVATURE_COLORS.length - 1).toFixed(1)};
+            vec3 color = vec3(${RenderModes.CURVATURE_COLORS[0].join(', ')});
+            ${RenderModes.CURVATURE_COLORS.slice(1).map((stop, i) =>
+                `color = mix(color, vec3(${stop.join(', ')}), clamp(t - ${i.toFixed(1)}, 0.0, 1.0));`
+            ).join('\n            ')}
+            return color;
+        }
+
+        vec4 shade(Surface s) {
+            vec3 dx, dy;
+            normalDifferences(dx, dy);
+            float curvature = 0.5 * (dx.x + dy.y);
+            return vec4(curvatureColor(0.5 + 0.5 * curvature / u_curvatureRange), 1.0);
+        }
+    `,
+    uniforms: Object.assign({
+        curvatureRange: { type: 'float', value: 0.1 }
+    }, RenderModes.NORMAL_UNIFORMS),
+    controls: [
+        { uniform: 'curvatureRange', label: 'Range (1/pixel)', min: 0.005, max: 0.25, step: 0.005 },
+        RenderModes.NORMAL_SCALE_CONTROL
+    ],
+    cpu(surface, params, out, at) {
+        const { dx, dy } = RenderModes.normalDifferencesCPU(at, Math.round(params.normalScale));
+        const curvature = 0.5 * (dx[0] + dy[1]);
+
+        const colors = RenderModes.CURVATURE_COLORS;
+        const t = Math.min(1, Math.max(0, 0.5 + 0.5 * curvature / params.curvatureRange)) * (colors.length - 1);
+        const i = Math.min(colors.length - 2, Math.floor(t));
+        for (let k = 0; k < 3; k++) {
+            out[k] = colors[i][k] + (colors[i + 1][k] - colors[i][k]) * (t - i);
+        }
+    },
+    legend: (params) => ({
+        title: 'Mean curvature (1/pixel)',
+        min: -params.curvatureRange,
+        max: params.curvatureRange,
+        colors: RenderModes.CURVATURE_COLORS,
+        minLabel: 'concave',
+        maxLabel: 'convex'
+    })
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RenderModes;
+}
@@ -0,0 +1,395 @@
+/**
+ * RTI Basis Functions
+ *
+ * Light-dependent basis weights (PTM, HSH, RBF and bilinear) shared by the
+ * RTI parsers and renderers.
+ * A relit pixel is the dot product of its coefficients with the weights
+ * of the current light direction, so the weights are computed once per
+ * light change rather than per pixel.
+ */
+
+class RTIBasis {
+    /**
+     * Convert a (lu, lv) light position to a unit light vector on the hemisphere
+     * @returns {Array<number>} [lx, ly, lz]
+     */
+    static lightVector(lu, lv) {
+        const lz = Math.sqrt(Math.max(0, 1 - lu * lu - lv * lv));
+        const length = Math.sqrt(lu * lu + lv * lv + lz * lz) || 1;
+        return [lu / length, lv / length, lz / length];
+    }
+
+    /**
+     * Hemispherical harmonics weights (Gautron et al. 2004), as used by RTIBuilder
+     * @param {number} lx - Light vector x
+     * @param {number} ly - Light vector y
+     * @param {number} lz - Light vector z
+     * @param {number} terms - Number of basis terms (4, 9 or 16 for order 2, 3 or 4)
+     * @returns {Float32Array} One weight per term
+     */
+    static hshWeights(lx, ly, lz, terms) {
+        const weights = new Float32Array(terms);
+
+        let phi = Math.atan2(ly, lx);
+        if (phi < 0) {
+            phi += 2 * Math.PI;
+        }
+        const cosTheta = Math.min(1, Math.max(0, lz));
+
+        const cosPhi = Math.cos(phi);
+        const sinPhi = Math.sin(phi);
+        const cos2Phi = Math.cos(2 * phi);
+        const sin2Phi = Math.sin(2 * phi);
+        const ct = cosTheta;
+        const ct2 = ct * ct;
+        const s = Math.sqrt(Math.max(0, ct - ct2));
+
+        weights[0] = 1 / Math.sqrt(2 * Math.PI);
+        if (terms > 1) {
+            weights[1] = Math.sqrt(6 / Math.PI) * cosPhi * s;
+            weights[2] = Math.sqrt(3 / (2 * Math.PI)) * (-1 + 2 * ct);
+            weights[3] = Math.sqrt(6 / Math.PI) * sinPhi * s;
+        }
+        if (terms > 4) {
+            weights[4] = Math.sqrt(30 / Math.PI) * cos2Phi * (-ct + ct2);
+            weights[5] = Math.sqrt(30 / Math.PI) * cosPhi * (-1 + 2 * ct) * s;
+            weights[6] = Math.sqrt(5 / (2 * Math.PI)) * (1 - 6 * ct + 6 * ct2);
+            weights[7] = Math.sqrt(30 / Math.PI) * sinPhi * (-1 + 2 * ct) * s;
+            weights[8] = Math.sqrt(30 / Math.PI) * sin2Phi * (-ct + ct2);
+        }
+        if (terms > 9) {
+            const cos3Phi = Math.cos(3 * phi);
+            const sin3Phi = Math.sin(3 * phi);
+            const s3 = Math.pow(ct - ct2, 1.5);
+
+            weights[9] = 2 * Math.sqrt(35 / Math.PI) * cos3Phi * s3;
+            weights[10] = Math.sqrt(210 / Math.PI) * cos2Phi * (-1 + 2 * ct) * (-ct + ct2);
+            weights[11] = 2 * Math.sqrt(21 / Math.PI) * cosPhi * s * (1 - 5 * ct + 5 * ct2);
+            weights[12] = Math.sqrt(7 / (2 * Math.PI)) * (-1 + 12 * ct - 30 * ct2 + 20 * ct2 * ct);
+            weights[13] = 2 * Math.sqrt(21 / Math.PI) * sinPhi * s * (1 - 5 * ct + 5 * ct2);
+            weights[14] = Math.sqrt(210 / Math.PI) * sin2Phi * (-1 + 2 * ct) * (-ct + ct2);
+            weights[15] = 2 * Math.sqrt(35 / Math.PI) * sin3Phi * s3;
+        }
+
+        return weights;
+    }
+
+    /**
+     * Polynomial texture map weights in Relight term order: 1, x, y, x², xy, y²
+     */
+    static ptmWeights(lx, ly) {
+        return new Float32Array([1, lx, ly, lx * lx, lx * ly, ly * ly]);
+    }
+
+    /**
+     * Radial basis function interpolation between the captured light directions
+     * Gaussian weights are normalized, insignificant ones dropped and the rest
+     * renormalized, as in Relight
+     * @param {Array<number>} lights - Flat [x, y, z, ...] list of sample directions
+     * @param {number} sigma - Gaussian radius
+     * @returns {Array<Array<number>>} [sampleIndex, weight] pairs
+     */
+    static rbfWeights(lx, ly, lz, lights, sigma) {
+        const radius = 1 / (sigma * sigma);
+        const count = lights.length / 3;
+        let weights = [];
+        let total = 0;
+
+        for (let i = 0; i < count; i++) {
+            const dx = lights[i * 3] - lx;
+            const dy = lights[i * 3 + 1] - ly;
+            const dz = lights[i * 3 + 2] - lz;
+            const w = Math.exp(-radius * (dx * dx + dy * dy + dz * dz));
+            weights.push([i, w]);
+            total += w;
+        }
+
+        weights = weights.filter(([, w]) => w / total > 0.001);
+        total = weights.reduce((sum, [, w]) => sum + w, 0);
+
+        return weights.map(([i, w]) => [i, w / total]);
+    }
+
+    /**
+     * Bilinear interpolation on a resolution x resolution grid of light samples
+     * The hemisphere is mapped to the grid with an octahedral projection
+     * rotated by 45 degrees, as in Relight
+     * @returns {Array<Array<number>>} [sampleIndex, weight] pairs
+     */
+    static bilinearWeights(lx, ly, lz, resolution) {
+        const sum = Math.abs(lx) + Math.abs(ly) + Math.abs(lz);
+        let x = (lx + ly) / sum;
+        let y = (ly - lx) / sum;
+        x = (x + 1) / 2 * (resolution - 1);
+        y = (y + 1) / 2 * (resolution - 1);
+
+        const sx = Math.min(resolution - 2, Math.max(0, Math.floor(x)));
+        const sy = Math.min(resolution - 2, Math.max(0, Math.floor(y)));
+        const dx = x - sx;
+        const dy = y - sy;
+
+        return [
+            [sy * resolution + sx, (1 - dx) * (1 - dy)],
+            [sy * resolution + sx + 1, dx * (1 - dy)],
+            [(sy + 1) * resolution + sx, (1 - dx) * dy],
+            [(sy + 1) * resolution + sx + 1, dx * dy]
+        ];
+    }
+
+    /**
+     * Whether a model's basis weights are a closed-form function of the light
+     * (HSH and PTM terms), so renderers can evaluate them per pixel; sampled
+     * bases (rbf, bilinear in the 'mrgb' colour space) interpolate light samples
+     */
+    static hasClosedForm(model) {
+        return model.colorspace !== 'mrgb';
+    }
+
+    /**
+     * Colour weights for every coefficient plane of an RTI model
+     *
+     * Every supported model relights as colour = offset + Σ plane[p] * weights[p],
+     * where each weight is an RGB triple:
+     * - 'rgb' colour space: planes are grouped per basis term as R, G, B, so a
+     *   plane's weight is the term's basis weight on its own channel
+     * - 'lrgb': planes are luminance terms with the same weight on all channels
+     *   (the renderer then multiplies by the base colour)
+     * - 'mrgb': planes are PCA components; the sampled-light basis (rbf or
+     *   bilinear) is interpolated to give each component an RGB weight, and
+     *   its first entry is the mean colour
+     *
+     * @param {Object} model - Parsed RTI data (basis, colorspace, planes, basisParams)
+     * @returns {Object} {weights: Float32Array(planes * 3), offset: [r, g, b]}
+     */
+    static planeWeights(model, lx, ly, lz) {
+        const planeCount = model.planes.length;
+        const weights = new Float32Array(planeCount * 3);
+        const offset = [0, 0, 0];
+        const params = model.basisParams || {};
+
+        if (model.colorspace === 'mrgb') {
+            const samples = model.basis === 'rbf'
+                ? RTIBasis.rbfWeights(lx, ly, lz, params.lights, params.sigma)
+                : RTIBasis.bilinearWeights(lx, ly, lz, params.resolution);
+            const sampleCount = model.basis === 'rbf'
+                ? params.lights.length / 3
+                : params.resolution * params.resolution;
+
+            // params.basis[(p * sampleCount + sample) * 3 + k], p = 0 being the mean
+            for (let p = 0; p <= planeCount; p++) {
+                for (let k = 0; k < 3; k++) {
+                    let value = 0;
+                    for (const [sample, w] of samples) {
+                        value += w * params.basis[(p * sampleCount + sample) * 3 + k];
+                    }
+                    if (p === 0) {
+                        offset[k] = value;
+                    } else {
+                        weights[(p - 1) * 3 + k] = value;
+                    }
+                }
+            }
+
+            return { weights, offset };
+        }
+
+        const termWeights = model.basis === 'hsh'
+            ? RTIBasis.hshWeights(lx, ly, lz, params.terms)
+            : RTIBasis.ptmWeights(lx, ly);
+
+        if (model.colorspace === 'lrgb') {
+            for (let p = 0; p < planeCount; p++) {
+                weights[p * 3] = weights[p * 3 + 1] = weights[p * 3 + 2] = termWeights[p];
+            }
+        } else {
+            // 'rgb' and 'ycc': plane p is channel p % 3 of term floor(p / 3)
+            for (let p = 0; p < planeCount; p++) {
+                weights[p * 3 + (p % 3)] = termWeights[Math.floor(p / 3)];
+            }
+        }
+
+        return { weights, offset };
+    }
+
+    /**
+     * Luminance (channel mean) weights per plane, plus the constant term,
+     * for fitting normals to any RTI model
+     * @returns {Float32Array} planes.length + 1 weights, the last for the offset
+     */
+    static luminanceWeights(model, lx, ly, lz) {
+        const { weights, offset } = RTIBasis.planeWeights(model, lx, ly, lz);
+        const planeCount = model.planes.length;
+        const result = new Float32Array(planeCount + 1);
+
+        for (let p = 0; p < planeCount; p++) {
+            result[p] = (weights[p * 3] + weights[p * 3 + 1] + weights[p * 3 + 2]) / 3;
+        }
+        result[planeCount] = (offset[0] + offset[1] + offset[2]) / 3;
+
+        return result;
+    }
+
+    /**
+     * Estimate normals for an RTI model from its coefficient planes
+     */
+    static modelNormals(model) {
+        const pixelCount = model.width * model.height;
+        const constant = new Float32Array(pixelCount).fill(1);
+
+        return RTIBasis.estimateNormals(
+            model.planes.concat([constant]),
+            pixelCount,
+            (lx, ly, lz) => RTIBasis.luminanceWeights(model, lx, ly, lz)
+        );
+    }
+
+    /**
+     * Colour under head-on light, in 0-255
+     * For 'lrgb' models the base colour is already stored and is returned as is.
+     */
+    static modelBaseColor(model) {
+        const pixelCount = model.width * model.height;
+        if (model.colorspace === 'lrgb') {
+            return model.rgb;
+        }
+
+        const { weights, offset } = RTIBasis.planeWeights(model, 0, 0, 1);
+        const rgb = new Uint8Array(pixelCount * 3);
+
+        for (let i = 0; i < pixelCount; i++) {
+            const color = offset.slice();
+            for (let p = 0; p < model.planes.length; p++) {
+                const value = model.planes[p][i];
+                color[0] += value * weights[p * 3];
+                color[1] += value * weights[p * 3 + 1];
+                color[2] += value * weights[p * 3 + 2];
+            }
+
+            if (model.colorspace === 'ycc') {
+                RTIBasis.yccToRGB(color);
+            }
+
+            for (let k = 0; k < 3; k++) {
+                rgb[i * 3 + k] = Math.max(0, Math.min(255, Math.round(color[k] * 255)));
+            }
+        }
+
+        return rgb;
+    }
+
+    /**
+     * In-place YCoCg to RGB conversion used by Relight's 'ycc' colour space
+     */
+    static yccToRGB(color) {
+        const [y, co, cg] = color;
+        const g = y + cg / 2;
+        const b = y - cg / 2 - co / 2;
+        color[0] = b + co;
+        color[1] = g;
+        color[2] = b;
+        return color;
+    }
+
+    /**
+     * Estimate surface normals for any linear basis by photometric stereo
+     *
+     * The luminance is evaluated under a fixed set of sample lights and a
+     * Lambertian normal is fitted by least squares. Since both steps are
+     * linear in the coefficients, they collapse into one 3 x terms matrix.
+     *
+     * @param {Array<Float32Array>} luminanceCoefficients - One plane per basis term
+     * @param {number} pixelCount - Number of pixels
+     * @param {Function} weightsFor - (lx, ly, lz) => weights for the basis
+     * @returns {Float32Array} Unit normals, 3 floats per pixel
+     */
+    static estimateNormals(luminanceCoefficients, pixelCount, weightsFor) {
+        const terms = luminanceCoefficients.length;
+        const lights = RTIBasis.sampleLights();
+
+        // Pseudo-inverse of the light matrix: (LᵀL)⁻¹Lᵀ
+        const ltl = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+        for (const l of lights) {
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    ltl[r * 3 + c] += l[r] * l[c];
+                }
+            }
+        }
+        const inv = RTIBasis.invert3x3(ltl);
+
+        // fit[r][t] = Σ_k (inv · l_k)[r] · w_k[t]
+        const fit = [new Float32Array(terms), new Float32Array(terms), new Float32Array(terms)];
+        for (const l of lights) {
+            const weights = weightsFor(l[0], l[1], l[2]);
+            for (let r = 0; r < 3; r++) {
+                const p = inv[r * 3] * l[0] + inv[r * 3 + 1] * l[1] + inv[r * 3 + 2] * l[2];
+                for (let t = 0; t < terms; t++) {
+                    fit[r][t] += p * weights[t];
+                }
+            }
+        }
+
+        const normals = new Float32Array(pixelCount * 3);
+        for (let i = 0; i < pixelCount; i++) {
+            let nx = 0, ny = 0, nz = 0;
+            for (let t = 0; t < terms; t++) {
+                const value = luminanceCoefficients[t][i];
+                nx += fit[0][t] * value;
+                ny += fit[1][t] * value;
+                nz += fit[2][t] * value;
+            }
+
+            // Keep normals on the visible hemisphere
+            nz = Math.max(nz, 0);
+            const mag = Math.sqrt(nx * nx + ny * ny + nz * nz);
+            if (mag > 0) {
+                normals[i * 3] = nx / mag;
+                normals[i * 3 + 1] = ny / mag;
+                normals[i * 3 + 2] = nz / mag;
+            } else {
+                normals[i * 3 + 2] = 1;
+            }
+        }
+
+        return normals;
+    }
+
+    /**
+     * Light directions used for normal estimation: rings at several elevations
+     */
+    static sampleLights() {
+        const lights = [[0, 0, 1]];
+        for (const elevation of [30, 50, 70]) {
+            const z = Math.sin(elevation * Math.PI / 180);
+            const r = Math.cos(elevation * Math.PI / 180);
+            for (let k = 0; k < 8; k++) {
+                const azimuth = k * Math.PI / 4;
+                lights.push([r * Math.cos(azimuth), r * Math.sin(azimuth), z]);
+            }
+        }
+        return lights;
+    }
+
+    static invert3x3(m) {
+        const det = m[0] * (m[4] * m[8] - m[5] * m[7]) -
+            m[1] * (m[3] * m[8] - m[5] * m[6]) +
+            m[2] * (m[3] * m[7] - m[4] * m[6]);
+
+        return [
+            (m[4] * m[8] - m[5] * m[7]) / det,
+            (m[2] * m[7] - m[1] * m[8]) / det,
+            (m[1] * m[5] - m[2] * m[4]) / det,
+            (m[5] * m[6] - m[3] * m[8]) / det,
+            (m[0] * m[8] - m[2] * m[6]) / det,
+            (m[2] * m[3] - m[0] * m[5]) / det,
+            (m[3] * m[7] - m[4] * m[6]) / det,
+            (m[1] * m[6] - m[0] * m[7]) / det,
+            (m[0] * m[4] - m[1] * m[3]) / det
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RTIBasis;
+}
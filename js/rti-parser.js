@@ -0,0 +1,184 @@
+/**
+ * RTI (Hemispherical Harmonics) Parser
+ *
+ * Parses .rti files written by RTIBuilder with the HSH fitter.
+ *
+ * File layout:
+ * - Comment lines starting with '#' (e.g. "#HSH1.2")
+ * - File type (3 = hemispherical harmonics)
+ * - Width, height and number of colour bands
+ * - Basis terms (order²), basis type and element size in bytes
+ * - Binary: float32 scale and bias per term, then for every pixel, for
+ *   every band, one byte per term; coefficient = byte / 255 * scale + bias
+ * - Scanlines stored bottom-to-top, as in PTM files
+ *
+ * Malformed or truncated files raise a PTMParseError, as in PTMParser.
+ */
+
+class RTIParser {
+    constructor() {
+        this.RTI_TYPES = {
+            HSH: 3
+        };
+
+        // Optional callback(loadedBytes, totalBytes) reporting parse progress
+        this.onProgress = null;
+    }
+
+    /**
+     * Throttled progress reporting for one parse (see ParseProgress)
+     * Shared modules are resolved lazily so the parser also runs under Node.
+     */
+    createProgress(total) {
+        const Progress = typeof ParseProgress !== 'undefined' ? ParseProgress : require('./parse-progress.js');
+        return new Progress(this.onProgress, total);
+    }
+
+    /**
+     * Create a PTMParseError, the error type PTMParser also throws
+     */
+    parseError(code, message, offset) {
+        const ErrorClass = typeof PTMParseError !== 'undefined' ? PTMParseError : require('./ptm-parse-error.js');
+        return new ErrorClass(code, message, offset);
+    }
+
+    /**
+     * Parse an RTI file from an ArrayBuffer
+     * @param {ArrayBuffer} buffer - The file data
+     * @returns {Object} Parsed data in the shape RTIRenderer.loadPTM consumes
+     */
+    async parse(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const progress = this.createProgress(buffer.byteLength);
+        let offset = 0;
+
+        const readLine = () => {
+            if (offset >= bytes.length) {
+                throw this.parseError('TRUNCATED_HEADER', 'File ends inside the RTI header', offset);
+            }
+
+            let line = '';
+            while (offset < bytes.length && bytes[offset] !== 0x0A) {
+                if (bytes[offset] !== 0x0D) {
+                    line += String.fromCharCode(bytes[offset]);
+                }
+                offset++;
+            }
+            offset++;
+            return line.trim();
+        };
+
+        // Skip comment lines
+        const comments = [];
+        let lineOffset = offset;
+        let line = readLine();
+        while (line.startsWith('#')) {
+            comments.push(line);
+            lineOffset = offset;
+            line = readLine();
+        }
+
+        const type = parseInt(line);
+        if (type !== this.RTI_TYPES.HSH) {
+            throw this.parseError('UNSUPPORTED_FORMAT',
+                `Unsupported RTI type: ${line} (only hemispherical harmonics, type 3, is supported)`, lineOffset);
+        }
+
+        const sizeOffset = offset;
+        const sizeLine = readLine();
+        const [width, height, bands] = sizeLine.split(/\s+/).map(Number);
+        const basisOffset = offset;
+        const [terms, basisType, elementSize] = readLine().split(/\s+/).map(Number);
+
+        if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+            throw this.parseError('INVALID_DIMENSIONS', `Invalid RTI size: "${sizeLine}"`, sizeOffset);
+        }
+        if (bands !== 3) {
+            throw this.parseError('UNSUPPORTED_FORMAT', `Unsupported RTI band count: ${bands}`, sizeOffset);
+        }
+
+        const order = Math.round(Math.sqrt(terms));
+        if (order * order !== terms || order < 1 || order > 4) {
+            throw this.parseError('UNSUPPORTED_FORMAT', `Unsupported HSH basis with ${terms} terms`, basisOffset);
+        }
+        if (elementSize !== 1) {
+            throw this.parseError('UNSUPPORTED_FORMAT', `Unsupported RTI element size: ${elementSize} bytes`, basisOffset);
+        }
+
+        // Scale and bias table, then one byte per term, band and pixel
+        const pixelCount = width * height;
+        const tableSize = terms * 8;
+        const expectedSize = pixelCount * bands * terms;
+        if (offset + tableSize > buffer.byteLength) {
+            throw this.parseError('TRUNCATED_DATA',
+                `RTI scale and bias need ${tableSize} bytes but only ${Math.max(buffer.byteLength - offset, 0)} remain`,
+                buffer.byteLength);
+        }
+        if (offset + tableSize + expectedSize > buffer.byteLength) {
+            throw this.parseError('TRUNCATED_DATA',
+                `RTI coefficients need ${expectedSize} bytes but only ${buffer.byteLength - offset - tableSize} remain`,
+                buffer.byteLength);
+        }
+
+        console.log('RTI Header:', { comments, type, width, height, bands, terms, basisType, elementSize });
+
+        // Scale and bias are little-endian float32 arrays
+        const dataView = new DataView(buffer);
+        const scale = [];
+        const bias = [];
+        for (let t = 0; t < terms; t++) {
+            scale.push(dataView.getFloat32(offset + t * 4, true));
+            bias.push(dataView.getFloat32(offset + (terms + t) * 4, true));
+        }
+        offset += tableSize;
+
+        // planes[term * 3 + band]: one RGB triple of planes per basis term
+        const planes = [];
+        for (let p = 0; p < terms * bands; p++) {
+            planes.push(new Float32Array(pixelCount));
+        }
+
+        for (let y = 0; y < height; y++) {
+            // Stored bottom-to-top, we want top-to-bottom
+            const srcY = height - 1 - y;
+
+            for (let x = 0; x < width; x++) {
+                const destIdx = y * width + x;
+                let srcIdx = offset + (srcY * width + x) * bands * terms;
+
+                for (let b = 0; b < bands; b++) {
+                    for (let t = 0; t < terms; t++) {
+                        planes[t * 3 + b][destIdx] = bytes[srcIdx++] / 255 * scale[t] + bias[t];
+                    }
+                }
+            }
+
+            progress.report(offset + (y + 1) * width * bands * terms);
+        }
+
+        const model = {
+            version: comments.length > 0 ? comments[0].slice(1) : 'RTI',
+            format: 'RTI_HSH',
+            basis: 'hsh',
+            colorspace: 'rgb',
+            basisParams: { terms },
+            order,
+            width,
+            height,
+            scale,
+            bias,
+            planes
+        };
+
+        const Basis = typeof RTIBasis !== 'undefined' ? RTIBasis : require('./rti-basis.js');
+        model.rgb = Basis.modelBaseColor(model);
+        model.normals = Basis.modelNormals(model);
+
+        return model;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RTIParser;
+}
@@ -0,0 +1,260 @@
+/**
+ * Software Renderer for RTI/PTM visualization
+ *
+ * Canvas 2D fallback for machines without WebGL. Has the same public API as
+ * RTIRenderer and evaluates the same maths on the CPU (see CPURelighter), so
+ * its output doubles as a pixel-by-pixel reference for the GPU path.
+ *
+ * The image is relit at native resolution into an offscreen canvas, which is
+ * then drawn into the viewport with the ViewTransform; panning and zooming
+ * only redraw it.
+ */
+
+class SoftwareRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        if (!this.ctx) {
+            throw new Error('Canvas 2D not supported');
+        }
+
+        this.ptmData = null;
+        this.imageData = null;
+        this.lights = [Lights.create()];
+        this.viewMode = 'default'; // Name of a mode registered with RenderModes
+        this.params = {}; // View mode parameters set so far, by uniform name
+        this.view = null; // ViewTransform; null stretches the image over the canvas
+        this.imageCanvas = null;
+
+        // Slider and light changes arrive faster than a CPU frame; draw once per animation frame
+        this.pendingFrame = null;
+    }
+
+    /**
+     * Load PTM data and allocate the output image
+     */
+    loadPTM(ptmData) {
+        this.ptmData = ptmData;
+
+        console.log('=== SoftwareRenderer.loadPTM called ===');
+
+        const { width, height } = ptmData;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            this.imageCanvas = new OffscreenCanvas(width, height);
+        } else {
+            this.imageCanvas = document.createElement('canvas');
+            this.imageCanvas.width = width;
+            this.imageCanvas.height = height;
+        }
+        this.imageData = this.ctx.createImageData(width, height);
+        console.log('Image buffer allocated:', width, 'x', height);
+
+        this.render();
+    }
+
+    /**
+     * Resize the canvas (the viewport) in device pixels
+     */
+    setViewportSize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.draw();
+    }
+
+    /**
+     * Set the zoom and pan transform
+     * @param {ViewTransform} view - Placement of the image in the canvas
+     */
+    setView(view) {
+        this.view = view;
+        this.draw();
+    }
+
+    /**
+     * Replace the normal map (e.g. after switching normal estimation method)
+     * @param {Float32Array} normals - width*height*3 unit normals
+     */
+    setNormals(normals) {
+        if (!this.ptmData) return;
+
+        this.ptmData.normals = normals;
+        this.requestRender();
+    }
+
+    /**
+     * Set the base colour of luminance-only (PTM_FORMAT_LUM) data
+     * @param {Array<number>} color - [r, g, b] in 0-255
+     */
+    setBaseColor(color) {
+        if (!this.ptmData || this.ptmData.format !== 'PTM_FORMAT_LUM') {
+            return;
+        }
+
+        PTMParser.fillBaseColor(this.ptmData.rgb, color);
+        this.requestRender();
+    }
+
+    /**
+     * Set light direction
+     * @param {number} x - Light X direction (-1 to 1)
+     * @param {number} y - Light Y direction (-1 to 1)
+     * @param {number} index - Which light to move (default: the first)
+     */
+    setLightDirection(x, y, index = 0) {
+        const light = this.lights[index];
+        light.x = Math.max(-1, Math.min(1, x));
+        light.y = Math.max(-1, Math.min(1, y));
+        this.requestRender();
+    }
+
+    /**
+     * Replace the lights
+     * @param {Array<Object>} lights - 1 to Lights.MAX lights, directional or point (see Lights)
+     */
+    setLights(lights) {
+        this.lights = Lights.normalize(lights);
+        this.requestRender();
+    }
+
+    /**
+     * Whether a view mode can be shown: only modes with a CPU implementation
+     * that apply to the loaded data (see the mode's supports())
+     */
+    supportsMode(name) {
+        const mode = RenderModes.modes.get(name);
+        return !!mode && !!mode.cpu && (!mode.supports || !this.ptmData || mode.supports(this.ptmData));
+    }
+
+    /**
+     * Set view mode
+     * @param {string} mode - Name of a registered mode with a CPU implementation
+     */
+    setViewMode(mode) {
+        if (!RenderModes.get(mode).cpu) {
+            throw new Error(`View mode "${mode}" has no CPU implementation`);
+        }
+        this.viewMode = mode;
+        this.requestRender();
+    }
+
+    /**
+     * Set a view mode parameter (a uniform declared by one or more modes)
+     * @param {string} name - Uniform name, e.g. 'diffuseGain'
+     * @param {*} value - Number, or array for vector uniforms
+     */
+    setParameter(name, value) {
+        this.params[name] = value;
+        this.requestRender();
+    }
+
+    /**
+     * Current value of a parameter of the active view mode (its default until set)
+     */
+    getParameter(name) {
+        return RenderModes.params(this.viewMode, this.params)[name];
+    }
+
+    /**
+     * Schedule a render on the next animation frame, coalescing repeated requests
+     */
+    requestRender() {
+        if (typeof requestAnimationFrame === 'undefined') {
+            this.render();
+            return;
+        }
+        if (this.pendingFrame === null) {
+            this.pendingFrame = requestAnimationFrame(() => {
+                this.pendingFrame = null;
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Render the PTM with current settings
+     */
+    render() {
+        if (!this.ptmData) {
+            console.warn('render() called but no ptmData');
+            return;
+        }
+
+        const options = Object.assign({}, this.params, { viewMode: this.viewMode, lights: this.lights });
+        CPURelighter.relight(this.ptmData, 0, 0, options, this.imageData.data);
+
+        this.imageCanvas.getContext('2d').putImageData(this.imageData, 0, 0);
+        this.draw();
+    }
+
+    /**
+     * Draw the relit image into the viewport with the current view transform
+     */
+    draw() {
+        if (!this.imageCanvas || !this.ptmData) return;
+
+        const rect = this.view
+            ? this.view.imageRect()
+            : { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(this.imageCanvas, rect.x, rect.y, rect.width, rect.height);
+    }
+
+    /**
+     * Read back the rendered image
+     * @returns {Uint8ClampedArray} width*height*4 RGBA pixels, top row first
+     */
+    readPixels() {
+        if (this.pendingFrame !== null) {
+            cancelAnimationFrame(this.pendingFrame);
+            this.pendingFrame = null;
+            this.render();
+        }
+        return this.imageData ? new Uint8ClampedArray(this.imageData.data) : null;
+    }
+
+    /**
+     * Render the image at a multiple of its native resolution, as RTIRenderer.renderImage
+     * Scaled images are resampled from the native-resolution relit image.
+     * @param {number} scale - Output pixels per image pixel
+     * @returns {Object} {width, height, pixels} with RGBA pixels, top row first
+     */
+    renderImage(scale = 1) {
+        const native = this.readPixels();
+        if (!native) return null;
+
+        const width = Math.max(1, Math.round(this.ptmData.width * scale));
+        const height = Math.max(1, Math.round(this.ptmData.height * scale));
+        if (width === this.ptmData.width && height === this.ptmData.height) {
+            return { width, height, pixels: native };
+        }
+
+        const output = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(width, height)
+            : Object.assign(document.createElement('canvas'), { width, height });
+        const ctx = output.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(this.imageCanvas, 0, 0, width, height);
+
+        return { width, height, pixels: ctx.getImageData(0, 0, width, height).data };
+    }
+
+    /**
+     * Release the image buffers
+     */
+    dispose() {
+        if (this.pendingFrame !== null) {
+            cancelAnimationFrame(this.pendingFrame);
+            this.pendingFrame = null;
+        }
+        this.ptmData = null;
+        this.imageData = null;
+        this.imageCanvas = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SoftwareRenderer;
+}
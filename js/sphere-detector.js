@@ -0,0 +1,132 @@
+/**
+ * Sphere Highlight Light Detector
+ *
+ * Recovers light directions for highlight RTI captures from the specular
+ * highlight on a reflective (black) sphere in frame, as RTIBuilder does.
+ *
+ * The user marks the sphere once as a circle in image pixels. In every
+ * capture the highlight is the centroid of the brightest pixels inside that
+ * circle; the sphere normal there is
+ *   n = ((hx - cx) / r, -(hy - cy) / r, sqrt(1 - nx² - ny²))
+ * and, with the camera looking straight down (view vector (0, 0, 1)), the
+ * light is the view vector reflected about n:
+ *   L = (2·nz·nx, 2·nz·ny, 2·nz² - 1)
+ */
+
+class SphereDetector {
+    constructor() {
+        // Pixels within this fraction of the brightest one form the highlight
+        this.highlightThreshold = 0.9;
+    }
+
+    /**
+     * Find the specular highlight inside the sphere
+     * @param {Uint8ClampedArray} rgba - Image (or cropped region) pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} sphere - {x, y, r} circle in the same pixel coordinates
+     * @returns {Object|null} {x, y} highlight centroid, or null if the sphere is blank
+     */
+    findHighlight(rgba, width, height, sphere) {
+        const x0 = Math.max(0, Math.floor(sphere.x - sphere.r));
+        const x1 = Math.min(width - 1, Math.ceil(sphere.x + sphere.r));
+        const y0 = Math.max(0, Math.floor(sphere.y - sphere.r));
+        const y1 = Math.min(height - 1, Math.ceil(sphere.y + sphere.r));
+        const r2 = sphere.r * sphere.r;
+
+        const inside = (x, y) => (x - sphere.x) ** 2 + (y - sphere.y) ** 2 <= r2;
+        const luminance = (i) => 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+
+        let max = 0;
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                if (inside(x, y)) {
+                    max = Math.max(max, luminance((y * width + x) * 4));
+                }
+            }
+        }
+
+        if (max === 0) {
+            return null;
+        }
+
+        // Weighted centroid of the highlight pixels
+        const threshold = max * this.highlightThreshold;
+        let sumX = 0, sumY = 0, sumW = 0;
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                if (!inside(x, y)) continue;
+                const value = luminance((y * width + x) * 4);
+                if (value >= threshold) {
+                    sumX += x * value;
+                    sumY += y * value;
+                    sumW += value;
+                }
+            }
+        }
+
+        return { x: sumX / sumW, y: sumY / sumW };
+    }
+
+    /**
+     * Light direction from a highlight position on the sphere
+     * Image y runs downwards; the returned vector has y up and z towards the camera.
+     * @returns {Array<number>} Unit [x, y, z] light direction
+     */
+    lightDirection(highlight, sphere) {
+        let nx = (highlight.x - sphere.x) / sphere.r;
+        let ny = -(highlight.y - sphere.y) / sphere.r;
+
+        // Highlights detected on the rim can land just outside the circle
+        const length = Math.sqrt(nx * nx + ny * ny);
+        if (length > 1) {
+            nx /= length;
+            ny /= length;
+        }
+        const nz = Math.sqrt(Math.max(0, 1 - nx * nx - ny * ny));
+
+        return [2 * nz * nx, 2 * nz * ny, 2 * nz * nz - 1];
+    }
+
+    /**
+     * Detect the light direction of one capture
+     * Only the sphere's bounding box is decoded into pixels.
+     * @param {File} file - JPEG/PNG capture
+     * @param {Object} sphere - {x, y, r} in full-image pixels
+     * @returns {Promise<Array<number>>} Unit [x, y, z] light direction
+     */
+    async detect(file, sphere) {
+        const bitmap = await createImageBitmap(file);
+
+        const left = Math.max(0, Math.floor(sphere.x - sphere.r));
+        const top = Math.max(0, Math.floor(sphere.y - sphere.r));
+        const width = Math.min(bitmap.width, Math.ceil(sphere.x + sphere.r) + 1) - left;
+        const height = Math.min(bitmap.height, Math.ceil(sphere.y + sphere.r) + 1) - top;
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, left, top, width, height, 0, 0, width, height);
+        bitmap.close();
+
+        const region = { x: sphere.x - left, y: sphere.y - top, r: sphere.r };
+        const highlight = this.findHighlight(ctx.getImageData(0, 0, width, height).data, width, height, region);
+        if (!highlight) {
+            throw new Error(`No highlight found on the sphere in ${file.name}`);
+        }
+
+        return this.lightDirection(highlight, region);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SphereDetector;
+}
@@ -0,0 +1,238 @@
+/**
+ * Tile Pyramid
+ *
+ * Level-of-detail tiling for images too large for a single texture
+ * (MAX_TEXTURE_SIZE). Level 0 is the loaded data itself; each further level
+ * halves the resolution by averaging 2x2 blocks, until the whole image fits
+ * in one tile. Levels are built on first use.
+ *
+ * Tiles are returned in the same shape as the data RTIRenderer.loadPTM takes
+ * (coefficients / channelCoefficients / planes, rgb, normals), so the
+ * renderer uploads them with its usual texture code. Every tile carries a
+ * border copied from its neighbours (or clamped at the image edge), so linear
+ * filtering and view modes that sample nearby texels do not show seams
+ * between tiles.
+ *
+ * Averaging coefficients is exact for the relighting models here, which are
+ * linear in their coefficients; averaged normals are renormalized.
+ */
+
+class TilePyramid {
+    /**
+     * @param {Object} ptmData - Data as passed to RTIRenderer.loadPTM
+     * @param {number} tileSize - Tile interior size in pixels (excluding the border)
+     * @param {number} border - Border width in pixels on each side
+     */
+    constructor(ptmData, tileSize = 512, border = 1) {
+        this.ptmData = ptmData;
+        this.tileSize = tileSize;
+        this.border = border;
+
+        // Halve until the whole image fits in a single tile
+        this.levelCount = 1;
+        let size = Math.max(ptmData.width, ptmData.height);
+        while (size > tileSize) {
+            size = Math.ceil(size / 2);
+            this.levelCount++;
+        }
+
+        this.levels = [ptmData];
+    }
+
+    /**
+     * Image data at a level, built from the level above on first use
+     * @param {number} level - 0 for full resolution
+     * @returns {Object} ptmData-shaped data at 1 / 2^level resolution
+     */
+    level(level) {
+        if (!this.levels[level]) {
+            const source = this.level(level - 1);
+            console.log(`Building pyramid level ${level} from ${source.width}x${source.height}`);
+            this.levels[level] = this.mapData(source, (array, channels, ArrayType) =>
+                this.downsample(array, source.width, source.height, channels, ArrayType)
+            );
+            this.levels[level].width = Math.ceil(source.width / 2);
+            this.levels[level].height = Math.ceil(source.height / 2);
+            this.renormalize(this.levels[level].normals);
+        }
+        return this.levels[level];
+    }
+
+    /**
+     * Drop the built levels, after the full-resolution rgb or normals changed
+     */
+    invalidate() {
+        this.levels = [this.ptmData];
+    }
+
+    /**
+     * Level whose resolution best matches a zoom (screen pixels per image pixel)
+     * Picks the coarsest level that still has at least one texel per screen pixel.
+     */
+    levelForZoom(zoom) {
+        const level = Math.floor(Math.log2(1 / zoom));
+        return Math.max(0, Math.min(this.levelCount - 1, level));
+    }
+
+    /**
+     * Tiles of a level overlapping a full-resolution image rectangle
+     * @param {number} level - Pyramid level
+     * @param {Object} rect - {x, y, width, height} in full-resolution image pixels
+     * @returns {Array<Object>} Tile descriptors, see tileInfo
+     */
+    visibleTiles(level, rect) {
+        const data = this.level(level);
+        const span = this.tileSize * Math.pow(2, level);
+        const columns = Math.ceil(data.width / this.tileSize);
+        const rows = Math.ceil(data.height / this.tileSize);
+
+        const x0 = Math.max(0, Math.floor(rect.x / span));
+        const y0 = Math.max(0, Math.floor(rect.y / span));
+        const x1 = Math.min(columns - 1, Math.floor((rect.x + rect.width) / span));
+        const y1 = Math.min(rows - 1, Math.floor((rect.y + rect.height) / span));
+
+        const tiles = [];
+        for (let ty = y0; ty <= y1; ty++) {
+            for (let tx = x0; tx <= x1; tx++) {
+                tiles.push(this.tileInfo(level, tx, ty));
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Placement of one tile
+     * @returns {Object} {key, level, column, row, x, y, width, height} with the
+     *   rectangle in level pixels (interior, without the border)
+     */
+    tileInfo(level, column, row) {
+        const data = this.level(level);
+        const x = column * this.tileSize;
+        const y = row * this.tileSize;
+
+        return {
+            key: `${level}/${column}/${row}`,
+            level,
+            column,
+            row,
+            x,
+            y,
+            width: Math.min(this.tileSize, data.width - x),
+            height: Math.min(this.tileSize, data.height - y)
+        };
+    }
+
+    /**
+     * Extract a tile, with its border, as ptmData-shaped data
+     * @param {Object} tile - Descriptor from visibleTiles or tileInfo
+     * @returns {Object} Data of (width + 2 * border) x (height + 2 * border) pixels
+     */
+    tileData(tile) {
+        const data = this.level(tile.level);
+        const b = this.border;
+        const width = tile.width + 2 * b;
+        const height = tile.height + 2 * b;
+
+        const tileData = this.mapData(data, (array, channels, ArrayType) =>
+            this.crop(array, data.width, data.height, tile.x - b, tile.y - b, width, height, channels, ArrayType)
+        );
+        tileData.width = width;
+        tileData.height = height;
+        return tileData;
+    }
+
+    /**
+     * Copy the model description and transform every per-pixel array
+     * @param {Function} transform - (array, channels, ArrayType) => new array
+     */
+    mapData(data, transform) {
+        const mapped = Object.assign({}, data);
+        const planes = (list) => list.map(plane => transform(plane, 1, Float32Array));
+
+        if (data.planes) {
+            mapped.planes = planes(data.planes);
+        } else if (data.channelCoefficients) {
+            // Per-channel sets are what gets rendered; their average is only used for normals
+            mapped.channelCoefficients = data.channelCoefficients.map(planes);
+            delete mapped.coefficients;
+        } else {
+            mapped.coefficients = planes(data.coefficients);
+        }
+
+        mapped.rgb = transform(data.rgb, 3, Uint8Array);
+        mapped.normals = transform(data.normals, 3, Float32Array);
+        return mapped;
+    }
+
+    /**
+     * Halve an image by averaging 2x2 blocks (edge pixels are repeated for odd sizes)
+     */
+    downsample(array, width, height, channels, ArrayType) {
+        const outWidth = Math.ceil(width / 2);
+        const outHeight = Math.ceil(height / 2);
+        const out = new ArrayType(outWidth * outHeight * channels);
+        const isInteger = ArrayType !== Float32Array;
+
+        for (let y = 0; y < outHeight; y++) {
+            const y0 = 2 * y;
+            const y1 = Math.min(height - 1, y0 + 1);
+            for (let x = 0; x < outWidth; x++) {
+                const x0 = 2 * x;
+                const x1 = Math.min(width - 1, x0 + 1);
+                for (let k = 0; k < channels; k++) {
+                    const sum = array[(y0 * width + x0) * channels + k] +
+                        array[(y0 * width + x1) * channels + k] +
+                        array[(y1 * width + x0) * channels + k] +
+                        array[(y1 * width + x1) * channels + k];
+                    out[(y * outWidth + x) * channels + k] = isInteger ? Math.round(sum / 4) : sum / 4;
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Copy a rectangle, clamping coordinates outside the image to its edge
+     */
+    crop(array, width, height, left, top, cropWidth, cropHeight, channels, ArrayType) {
+        const out = new ArrayType(cropWidth * cropHeight * channels);
+
+        for (let y = 0; y < cropHeight; y++) {
+            const sy = Math.max(0, Math.min(height - 1, top + y));
+            for (let x = 0; x < cropWidth; x++) {
+                const sx = Math.max(0, Math.min(width - 1, left + x));
+                const src = (sy * width + sx) * channels;
+                const dst = (y * cropWidth + x) * channels;
+                for (let k = 0; k < channels; k++) {
+                    out[dst + k] = array[src + k];
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Rescale averaged normals to unit length
+     */
+    renormalize(normals) {
+        for (let i = 0; i < normals.length; i += 3) {
+            const length = Math.sqrt(normals[i] ** 2 + normals[i + 1] ** 2 + normals[i + 2] ** 2);
+            if (length > 0) {
+                normals[i] /= length;
+                normals[i + 1] /= length;
+                normals[i + 2] /= length;
+            } else {
+                normals[i] = 0;
+                normals[i + 1] = 0;
+                normals[i + 2] = 1;
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TilePyramid;
+}
@@ -0,0 +1,192 @@
+/**
+ * View Transform
+ *
+ * Zoom and pan state for the relighting canvas. The image keeps its native
+ * resolution; the renderers map it into the viewport with this transform
+ * (in the vertex shader for RTIRenderer, with drawImage for SoftwareRenderer).
+ *
+ * zoom is viewport (canvas) pixels per image pixel, so 1 is 1:1. centerX and
+ * centerY are the image pixel shown at the middle of the viewport, with y
+ * running down as in the image.
+ */
+
+class ViewTransform {
+    /**
+     * @param {number} imageWidth - Image width in pixels
+     * @param {number} imageHeight - Image height in pixels
+     */
+    constructor(imageWidth, imageHeight) {
+        this.imageWidth = imageWidth;
+        this.imageHeight = imageHeight;
+        this.viewportWidth = imageWidth;
+        this.viewportHeight = imageHeight;
+        this.maxZoom = 32;
+
+        this.zoom = 1;
+        this.centerX = imageWidth / 2;
+        this.centerY = imageHeight / 2;
+
+        // While fitted, viewport resizes re-fit the image
+        this.fitted = true;
+    }
+
+    /**
+     * Set the viewport size in canvas pixels
+     */
+    setViewportSize(width, height) {
+        this.viewportWidth = Math.max(1, width);
+        this.viewportHeight = Math.max(1, height);
+
+        if (this.fitted) {
+            this.fit();
+        } else {
+            this.clampCenter();
+        }
+    }
+
+    /**
+     * Zoom at which the whole image fits the viewport
+     */
+    fitZoom() {
+        return Math.min(this.viewportWidth / this.imageWidth, this.viewportHeight / this.imageHeight);
+    }
+
+    /**
+     * Smallest zoom allowed: half the fitted size (or 1:1 for images smaller than the viewport)
+     */
+    minZoom() {
+        return Math.min(this.fitZoom() / 2, 1);
+    }
+
+    /**
+     * Fit the whole image in the viewport, centred
+     */
+    fit() {
+        this.zoom = this.fitZoom();
+        this.centerX = this.imageWidth / 2;
+        this.centerY = this.imageHeight / 2;
+        this.fitted = true;
+    }
+
+    /**
+     * Show one image pixel per canvas pixel, keeping the current centre
+     */
+    actualSize() {
+        this.zoom = 1;
+        this.fitted = false;
+        this.clampCenter();
+    }
+
+    /**
+     * Zoom by a factor, keeping the image point under a viewport position fixed
+     * @param {number} factor - Zoom multiplier (> 1 zooms in)
+     * @param {number} x - Viewport x of the anchor (defaults to the centre)
+     * @param {number} y - Viewport y of the anchor (defaults to the centre)
+     */
+    zoomAt(factor, x = this.viewportWidth / 2, y = this.viewportHeight / 2) {
+        const [imageX, imageY] = this.viewportToImage(x, y);
+
+        this.zoom = Math.max(this.minZoom(), Math.min(this.maxZoom, this.zoom * factor));
+        this.centerX = imageX - (x - this.viewportWidth / 2) / this.zoom;
+        this.centerY = imageY - (y - this.viewportHeight / 2) / this.zoom;
+        this.fitted = false;
+        this.clampCenter();
+    }
+
+    /**
+     * Place the image so a given image point is at the top-left of the viewport
+     * Used to render a large image in viewport-sized pieces; the centre is not clamped.
+     * @param {number} zoom - Viewport pixels per image pixel
+     * @param {number} x - Image x at the viewport's left edge
+     * @param {number} y - Image y at the viewport's top edge
+     */
+    showRegion(zoom, x, y) {
+        this.zoom = zoom;
+        this.centerX = x + this.viewportWidth / 2 / zoom;
+        this.centerY = y + this.viewportHeight / 2 / zoom;
+        this.fitted = false;
+    }
+
+    /**
+     * Move the image by a viewport-pixel offset (as when dragging it)
+     */
+    panBy(dx, dy) {
+        this.centerX -= dx / this.zoom;
+        this.centerY -= dy / this.zoom;
+        this.fitted = false;
+        this.clampCenter();
+    }
+
+    /**
+     * Keep the viewport centre over the image
+     */
+    clampCenter() {
+        this.centerX = Math.max(0, Math.min(this.imageWidth, this.centerX));
+        this.centerY = Math.max(0, Math.min(this.imageHeight, this.centerY));
+    }
+
+    /**
+     * Image pixel coordinates of a viewport position
+     * @returns {Array<number>} [x, y] in image pixels
+     */
+    viewportToImage(x, y) {
+        return [
+            this.centerX + (x - this.viewportWidth / 2) / this.zoom,
+            this.centerY + (y - this.viewportHeight / 2) / this.zoom
+        ];
+    }
+
+    /**
+     * Full-resolution image rectangle visible in the viewport (may extend past the image)
+     * @returns {Object} {x, y, width, height} in image pixels
+     */
+    visibleImageRect() {
+        const [x, y] = this.viewportToImage(0, 0);
+        return {
+            x,
+            y,
+            width: this.viewportWidth / this.zoom,
+            height: this.viewportHeight / this.zoom
+        };
+    }
+
+    /**
+     * Viewport rectangle covered by an image rectangle (by default the whole image)
+     * @param {Object} rect - Optional {x, y, width, height} in image pixels
+     * @returns {Object} {x, y, width, height} in viewport pixels
+     */
+    imageRect(rect = { x: 0, y: 0, width: this.imageWidth, height: this.imageHeight }) {
+        return {
+            x: this.viewportWidth / 2 + (rect.x - this.centerX) * this.zoom,
+            y: this.viewportHeight / 2 + (rect.y - this.centerY) * this.zoom,
+            width: rect.width * this.zoom,
+            height: rect.height * this.zoom
+        };
+    }
+
+    /**
+     * Scale and offset taking the full-screen quad (-1 to 1) to an image
+     * rectangle's place in clip space: clip = position * scale + offset
+     * @param {Object} rect - Optional {x, y, width, height} in image pixels (default: whole image)
+     * @returns {Object} {scale: [sx, sy], offset: [ox, oy]}
+     */
+    clipTransform(rect) {
+        const placed = this.imageRect(rect);
+        const scaleX = placed.width / this.viewportWidth;
+        const scaleY = placed.height / this.viewportHeight;
+
+        // Clip space y runs up, viewport y runs down
+        return {
+            scale: [scaleX, scaleY],
+            offset: [
+                (placed.x + placed.width / 2) / this.viewportWidth * 2 - 1,
+                1 - (placed.y + placed.height / 2) / this.viewportHeight * 2
+            ]
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ViewTransform;
+}
@@ -1,53 +1,256 @@
 /**
  * WebGL Renderer for RTI/PTM visualization
  *
- * Implements real-time relighting using GPU shaders.
- * Supports multiple viewing modes: default, specular-only, and normal map.
+ * Implements real-time relighting of PTM, HSH and Relight data using GPU shaders.
+ * View modes (default, diffuse gain, specular enhancement, unsharp masking, normal map,
+ * sketch, mean curvature and any registered with RTIRenderer.registerMode) each
+ * compile to their own program; see RenderModes.
+ * The canvas is the viewport; a ViewTransform places the image in it (zoom and pan).
+ * Up to Lights.MAX lights are summed in one pass; the shader is compiled for
+ * the current number of lights. Point lights (lamps) get a light direction,
+ * falloff and spot cone per pixel from their position (see Lights.lamp);
+ * HSH and PTM basis weights are evaluated in the shader to follow it.
+ * Images larger than MAX_TEXTURE_SIZE are drawn from a TilePyramid: only the
+ * tiles visible at the current zoom are uploaded, and least recently used
+ * tiles are deleted once the tile textures exceed tileMemoryBudget.
+ *
+ * Coefficients are uploaded at the best precision the GPU offers:
+ * - float: 32-bit (or 16-bit half-float) textures via WebGL2 or OES_texture_float
+ * - packed16: 16 bits per value split over a high-byte and a low-byte texture
+ * - byte: 8 bits per value, only when packed16 would need too many texture units
+ *
+ * If the WebGL context is lost (GPU reset, backgrounded tab), rendering pauses;
+ * when the browser restores it, the program, buffers and textures are rebuilt
+ * from the retained ptmData, keeping the light, view mode and slider settings.
  */
 
 class RTIRenderer {
     constructor(canvas) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        // The shaders are GLSL ES 1.00, which WebGL2 also runs; WebGL2 adds float textures
+        this.gl = canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
 
         if (!this.gl) {
             throw new Error('WebGL not supported');
         }
 
+        this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && this.gl instanceof WebGL2RenderingContext;
+        this.textureFormat = this.detectTextureFormat();
+        this.coefficientPrecision = this.textureFormat.precision;
+        console.log('Coefficient texture precision:', this.coefficientPrecision);
+
         this.ptmData = null;
-        this.lightX = 0;
-        this.lightY = 0;
-        this.viewMode = 'default'; // 'default', 'specular', 'normals'
-        this.specularEnhancement = 1.0;
-        this.diffuseGain = 1.0;
+        this.lights = [Lights.create()];
+        this.viewMode = 'default'; // Name of a mode registered with RenderModes
+        this.params = {}; // View mode parameters set so far, by uniform name
+        this.view = null; // ViewTransform; null stretches the image over the canvas
+
+        // Textures of the whole image, or of cached tiles for tiled images
+        this.textureSet = null;
+        this.pyramid = null;
+        this.tileSize = 512;
+        this.tileMemoryBudget = 256 * 1024 * 1024;
+        this.tileCache = new Map(); // key -> texture set, least recently used first
+        this.tileCacheBytes = 0;
+
+        // Compiled program per view mode, for the current shader defines
+        this.programs = new Map();
+        this.program = null;
+
+        this.initShaders();
+        this.initBuffers();
+
+        // Calling preventDefault on context loss tells the browser we will handle a restore
+        this.handleContextLost = (event) => {
+            event.preventDefault();
+            this.forgetGLObjects();
+            console.warn('WebGL context lost; rendering paused until it is restored');
+        };
+        this.handleContextRestored = () => this.restoreContext();
+        canvas.addEventListener('webglcontextlost', this.handleContextLost);
+        canvas.addEventListener('webglcontextrestored', this.handleContextRestored);
+    }
+
+    /**
+     * Drop references to GL objects of a lost context
+     * They are already gone with the context, and deleting them on the
+     * restored context would be an error.
+     */
+    forgetGLObjects() {
+        this.programs.clear();
+        this.program = null;
+        this.positionBuffer = null;
+        this.texCoordBuffer = null;
+        this.textureSet = null;
+        this.tileCache.clear();
+        this.tileCacheBytes = 0;
+        this.pyramid = null;
+        RTIRenderer.TEXTURE_SET_FIELDS.forEach(field => {
+            this[field] = null;
+        });
+    }
+
+    /**
+     * Rebuild all GPU state after the context is restored
+     * Extensions must be enabled again, so the texture format is re-detected.
+     * The lights, view mode, sliders and view live on the renderer and are kept.
+     */
+    restoreContext() {
+        console.log('WebGL context restored; rebuilding program, buffers and textures');
 
+        this.textureFormat = this.detectTextureFormat();
         this.initShaders();
         this.initBuffers();
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+
+        if (this.ptmData) {
+            try {
+                this.loadPTM(this.ptmData);
+            } catch (error) {
+                console.error('Could not reload the image after context restore:', error);
+            }
+        }
     }
 
     /**
-     * Initialize WebGL shaders for PTM rendering
+     * Choose how coefficient textures are stored on this GPU
+     * @returns {Object} {precision, internalFormat, type, filter}
      */
-    initShaders() {
+    detectTextureFormat() {
         const gl = this.gl;
+        const floatLinear = !!gl.getExtension('OES_texture_float_linear');
+
+        if (this.isWebGL2) {
+            // Half-float is always filterable in WebGL2; 32-bit float needs the linear extension
+            return {
+                precision: 'float',
+                internalFormat: floatLinear ? gl.RGBA32F : gl.RGBA16F,
+                type: gl.FLOAT,
+                filter: gl.LINEAR
+            };
+        }
 
-        // Vertex shader - simple pass-through
+        if (gl.getExtension('OES_texture_float')) {
+            return {
+                precision: 'float',
+                internalFormat: gl.RGBA,
+                type: gl.FLOAT,
+                filter: floatLinear ? gl.LINEAR : gl.NEAREST
+            };
+        }
+
+        // Interpolating split high and low bytes would mix unrelated values, so sample nearest
+        return {
+            precision: 'packed16',
+            internalFormat: gl.RGBA,
+            type: gl.UNSIGNED_BYTE,
+            filter: gl.NEAREST
+        };
+    }
+
+    /**
+     * Set the shader variant for the loaded data and compile the current view mode
+     * @param {Array<string>} defines - Preprocessor symbols selecting shader variants
+     *   (e.g. 'PER_CHANNEL' for PTM_FORMAT_RGB data, 'BASIS' for HSH and Relight data,
+     *   'PACKED16' for coefficients split over high- and low-byte textures)
+     */
+    initShaders(defines = []) {
+        this.shaderDefines = defines;
+        this.deletePrograms();
+
+        if (!this.gl.isContextLost()) {
+            this.selectProgram();
+        }
+    }
+
+    /**
+     * Make the current view mode's program the one render() uses, compiling it on first use
+     * Programs are cached per mode and rebuilt if the mode is re-registered.
+     */
+    selectProgram() {
+        const mode = RenderModes.get(this.viewMode);
+        let entry = this.programs.get(mode.name);
+
+        if (!entry || entry.mode !== mode) {
+            if (entry) {
+                this.gl.deleteProgram(entry.program);
+            }
+            console.log(`Compiling "${mode.name}" view mode for [${this.shaderDefines.join(', ')}] ` +
+                `with ${this.lights.length} light(s)`);
+            entry = this.createProgram(mode);
+            this.programs.set(mode.name, entry);
+        }
+
+        this.program = entry.program;
+        this.attribLocations = entry.attribLocations;
+        this.uniformLocations = entry.uniformLocations;
+        this.modeUniformLocations = entry.modeUniformLocations;
+    }
+
+    /**
+     * Delete every compiled view mode program
+     */
+    deletePrograms() {
+        this.programs.forEach(entry => this.gl.deleteProgram(entry.program));
+        this.programs.clear();
+        this.program = null;
+    }
+
+    /**
+     * Compile and link the program of one view mode for the current shader defines
+     * @param {Object} mode - Registered mode (see RenderModes)
+     * @returns {Object} {mode, program, attribLocations, uniformLocations, modeUniformLocations}
+     */
+    createProgram(mode) {
+        const gl = this.gl;
+        const defines = this.shaderDefines;
+
+        // Vertex shader - places the image quad with the view transform
         const vertexShaderSource = `
             attribute vec2 a_position;
             attribute vec2 a_texCoord;
             varying vec2 v_texCoord;
+            varying vec2 v_imagePos;
+
+            uniform vec2 u_viewScale;
+            uniform vec2 u_viewOffset;
+            uniform vec2 u_texScale;  // Part of the texture drawn (tiles skip their border)
+            uniform vec2 u_texOffset;
+            uniform vec4 u_imageRect; // Full-resolution image rectangle of the quad (x, y, width, height)
 
             void main() {
-                gl_Position = vec4(a_position, 0.0, 1.0);
-                v_texCoord = a_texCoord;
+                gl_Position = vec4(a_position * u_viewScale + u_viewOffset, 0.0, 1.0);
+                v_texCoord = a_texCoord * u_texScale + u_texOffset;
+                v_imagePos = u_imageRect.xy + a_texCoord * u_imageRect.zw;
             }
         `;
 
-        // Fragment shader for PTM rendering
-        const fragmentShaderSource = `
+        // Mode uniforms are declared from the mode's schema
+        const modeUniforms = Object.entries(mode.uniforms)
+            .map(([name, spec]) => `            uniform ${spec.type} u_${name};\n`)
+            .join('');
+
+        // Fragment shader: relight the surface at a texel, then shade it with the mode
+        const fragmentShaderSource = defines.concat(`LIGHTS ${this.lights.length}`)
+            .map(name => `#define ${name}\n`).join('') + `
+        #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+        #else
             precision mediump float;
+        #endif
 
             varying vec2 v_texCoord;
+            varying vec2 v_imagePos; // Image position in pixels, for point lights
+
+        #ifdef PACKED16
+            // 16-bit normalized coefficients: high bytes in one texture, low bytes in another
+            #define SAMPLE_COEFFS(tex, lowTex, uv) ((texture2D(tex, uv).rgb * 65280.0 + texture2D(lowTex, uv).rgb * 255.0) / 65535.0)
+
+            uniform sampler2D u_coeffLowTex0;
+            uniform sampler2D u_coeffLowTex1;
+        #else
+            #define SAMPLE_COEFFS(tex, lowTex, uv) texture2D(tex, uv).rgb
+        #endif
 
             // PTM coefficient textures (packed into RGB textures)
             uniform sampler2D u_coeffTex0; // a0, a1, a2
@@ -55,10 +258,13 @@ class RTIRenderer {
             uniform sampler2D u_rgbTex;    // Base RGB color
             uniform sampler2D u_normalTex; // Normal map
 
-            uniform vec2 u_lightDir;       // Light direction (lu, lv)
-            uniform int u_viewMode;        // 0=default, 1=specular, 2=normals
-            uniform float u_specularEnhancement;
-            uniform float u_diffuseGain;
+            uniform vec2 u_lightDir[LIGHTS];   // Direction (lu, lv) of each light
+            uniform vec3 u_lightColor[LIGHTS]; // Colour * intensity of each light
+            uniform vec4 u_lampPos[LIGHTS];    // Point lights: position in image pixels, falloff distance (0 for directional lights)
+            uniform vec3 u_spotAxis[LIGHTS];   // Unit vector from the lamp to its target
+            uniform vec2 u_spotCone[LIGHTS];   // Cosines of the spot's outer and inner edge
+            uniform vec2 u_texelSize;      // 1 / texture size, for modes sampling neighbours
+            uniform float u_pixelsPerTexel; // Full-resolution image pixels per texel (2^level for pyramid tiles)
 
             // Coefficient ranges for denormalization
             uniform vec2 u_coeffRange0; // min, max for a0
@@ -68,14 +274,220 @@ class RTIRenderer {
             uniform vec2 u_coeffRange4; // min, max for a4
             uniform vec2 u_coeffRange5; // min, max for a5
 
+        #ifdef PER_CHANNEL
+            // Per-channel coefficient textures for PTM_FORMAT_RGB:
+            // [2c] holds a0, a1, a2 and [2c + 1] holds a3, a4, a5 of channel c
+            uniform sampler2D u_channelTex[6];
+            uniform vec3 u_channelMin[6];
+            uniform vec3 u_channelMax[6];
+            #ifdef PACKED16
+                uniform sampler2D u_channelLowTex[6];
+            #endif
+
+            #define CHANNEL_COEFFS(i, uv) mix(u_channelMin[i], u_channelMax[i], SAMPLE_COEFFS(u_channelTex[i], u_channelLowTex[i], uv))
+        #endif
+
+        #ifdef BASIS
+            // Generic linear basis (HSH, Relight PTM, RBF, bilinear): coefficient
+            // planes packed three per texture, each weighted by an RGB triple
+            // computed on the CPU (see RTIBasis.planeWeights)
+            uniform sampler2D u_basisTex[BASIS_TEXTURES];
+            uniform vec3 u_basisMin[BASIS_TEXTURES];
+            uniform vec3 u_basisMax[BASIS_TEXTURES];
+            #ifdef PACKED16
+                uniform sampler2D u_basisLowTex[BASIS_TEXTURES];
+            #endif
+            uniform vec3 u_basisWeights[LIGHTS * BASIS_TEXTURES * 3]; // Each light's, one after another
+            uniform vec3 u_baseWeights[BASIS_TEXTURES * 3];           // Head-on light
+            uniform vec3 u_basisOffset[LIGHTS];
+            uniform vec3 u_baseOffset;
+
+            // Relight's YCoCg colour space
+            vec3 yccToRGB(vec3 ycc) {
+                float g = ycc.x + ycc.z / 2.0;
+                float b = ycc.x - ycc.z / 2.0 - ycc.y / 2.0;
+                return vec3(b + ycc.y, g, b);
+            }
+        #endif
+
+            // The light surfaceAt relights with, set by main() for each light in turn
+            vec2 lightDir;
+        #if defined(BASIS)
+            vec3 basisWeights[BASIS_TEXTURES * 3];
+            vec3 basisOffset;
+        #endif
+
+        #if defined(BASIS_TERMS)
+            // Closed-form basis weights for a light vector, as RTIBasis.hshWeights
+            // and RTIBasis.ptmWeights compute them
+            float termWeights[BASIS_TERMS];
+
+            void setTermWeights(vec3 light) {
+            #if defined(BASIS_HSH)
+                const float PI = 3.14159265;
+                float phi = atan(light.y, light.x);
+                float ct = clamp(light.z, 0.0, 1.0);
+                float ct2 = ct * ct;
+                float s = sqrt(max(0.0, ct - ct2));
+
+                termWeights[0] = 1.0 / sqrt(2.0 * PI);
+                #if BASIS_TERMS > 1
+                    termWeights[1] = sqrt(6.0 / PI) * cos(phi) * s;
+                    termWeights[2] = sqrt(3.0 / (2.0 * PI)) * (-1.0 + 2.0 * ct);
+                    termWeights[3] = sqrt(6.0 / PI) * sin(phi) * s;
+                #endif
+                #if BASIS_TERMS > 4
+                    termWeights[4] = sqrt(30.0 / PI) * cos(2.0 * phi) * (-ct + ct2);
+                    termWeights[5] = sqrt(30.0 / PI) * cos(phi) * (-1.0 + 2.0 * ct) * s;
+                    termWeights[6] = sqrt(5.0 / (2.0 * PI)) * (1.0 - 6.0 * ct + 6.0 * ct2);
+                    termWeights[7] = sqrt(30.0 / PI) * sin(phi) * (-1.0 + 2.0 * ct) * s;
+                    termWeights[8] = sqrt(30.0 / PI) * sin(2.0 * phi) * (-ct + ct2);
+                #endif
+                #if BASIS_TERMS > 9
+                    float s3 = s * s * s;
+                    termWeights[9] = 2.0 * sqrt(35.0 / PI) * cos(3.0 * phi) * s3;
+                    termWeights[10] = sqrt(210.0 / PI) * cos(2.0 * phi) * (-1.0 + 2.0 * ct) * (-ct + ct2);
+                    termWeights[11] = 2.0 * sqrt(21.0 / PI) * cos(phi) * s * (1.0 - 5.0 * ct + 5.0 * ct2);
+                    termWeights[12] = sqrt(7.0 / (2.0 * PI)) * (-1.0 + 12.0 * ct - 30.0 * ct2 + 20.0 * ct2 * ct);
+                    termWeights[13] = 2.0 * sqrt(21.0 / PI) * sin(phi) * s * (1.0 - 5.0 * ct + 5.0 * ct2);
+                    termWeights[14] = sqrt(210.0 / PI) * sin(2.0 * phi) * (-1.0 + 2.0 * ct) * (-ct + ct2);
+                    termWeights[15] = 2.0 * sqrt(35.0 / PI) * sin(3.0 * phi) * s3;
+                #endif
+            #else
+                termWeights[0] = 1.0;
+                termWeights[1] = light.x;
+                termWeights[2] = light.y;
+                termWeights[3] = light.x * light.x;
+                termWeights[4] = light.x * light.y;
+                termWeights[5] = light.y * light.y;
+            #endif
+            }
+
+            // Plane weights for a light vector, laid out as RTIBasis.planeWeights does
+            void setBasisWeights(vec3 light) {
+                setTermWeights(light);
+            #if defined(BASIS_LRGB)
+                // Plane t is luminance term t
+                for (int t = 0; t < BASIS_TERMS; t++) {
+                    basisWeights[t] = vec3(termWeights[t]);
+                }
+                for (int p = BASIS_TERMS; p < BASIS_TEXTURES * 3; p++) {
+                    basisWeights[p] = vec3(0.0);
+                }
+            #else
+                // Planes 3t, 3t + 1 and 3t + 2 are the R, G and B of term t
+                for (int t = 0; t < BASIS_TERMS; t++) {
+                    basisWeights[t * 3] = vec3(termWeights[t], 0.0, 0.0);
+                    basisWeights[t * 3 + 1] = vec3(0.0, termWeights[t], 0.0);
+                    basisWeights[t * 3 + 2] = vec3(0.0, 0.0, termWeights[t]);
+                }
+            #endif
+                basisOffset = vec3(0.0);
+            }
+        #endif
+
             float denormalize(float normalized, vec2 range) {
                 return mix(range.x, range.y, normalized);
             }
 
-            void main() {
+            // L = a0*lu² + a1*lv² + a2*lu*lv + a3*lu + a4*lv + a5
+            float evaluatePTM(vec3 a012, vec3 a345, float lu, float lv) {
+                return a012.r * lu * lu +
+                       a012.g * lv * lv +
+                       a012.b * lu * lv +
+                       a345.r * lu +
+                       a345.g * lv +
+                       a345.b;
+            }
+
+            // The relit surface at a texel, as passed to the view mode (see RenderModes)
+            struct Surface {
+                vec3 color;          // Relit colour, clamped to 0-1
+                float luminance;     // Relit luminance (0-1, not clamped)
+                float baseLuminance; // Luminance under head-on light
+                vec3 normal;         // Surface normal from the normal map
+                vec3 light;          // Unit light vector
+                vec3 relit;          // Per-channel relit intensity before the albedo (not clamped)
+                vec3 albedo;         // Colour the relit intensity modulates (1 where it is in relit)
+                vec3 curvature;      // Quadratic terms about the normal, for diffuse gain (0 without them)
+            };
+
+            Surface surfaceAt(vec2 uv) {
+                Surface s;
+
+                // Light direction components
+                float lu = lightDir.x;
+                float lv = lightDir.y;
+
+                s.normal = texture2D(u_normalTex, uv).rgb * 2.0 - 1.0;
+
+                // Light offset from the normal and its quadratic terms (lu², lv², lu*lv)
+                vec2 d = lightDir - s.normal.xy;
+                vec3 d2 = vec3(d.x * d.x, d.y * d.y, d.x * d.y);
+
+            #if defined(BASIS)
+                vec3 channelLuminance = basisOffset;
+                vec3 headOnColor = u_baseOffset;
+                for (int t = 0; t < BASIS_TEXTURES; t++) {
+                    vec3 coeffs = mix(u_basisMin[t], u_basisMax[t], SAMPLE_COEFFS(u_basisTex[t], u_basisLowTex[t], uv));
+                    channelLuminance += coeffs.r * basisWeights[t * 3] +
+                                        coeffs.g * basisWeights[t * 3 + 1] +
+                                        coeffs.b * basisWeights[t * 3 + 2];
+                    headOnColor += coeffs.r * u_baseWeights[t * 3] +
+                                   coeffs.g * u_baseWeights[t * 3 + 1] +
+                                   coeffs.b * u_baseWeights[t * 3 + 2];
+                }
+
+                #if defined(BASIS_LRGB)
+                    // Luminance planes modulate the stored base colour
+                    s.luminance = channelLuminance.r;
+                    s.baseLuminance = headOnColor.r;
+                    s.relit = vec3(s.luminance);
+                    s.albedo = texture2D(u_rgbTex, uv).rgb;
+                    channelLuminance = s.albedo * s.luminance;
+                #else
+                    #if defined(BASIS_YCC)
+                        channelLuminance = yccToRGB(channelLuminance);
+                        headOnColor = yccToRGB(headOnColor);
+                    #endif
+                    s.luminance = dot(channelLuminance, vec3(1.0 / 3.0));
+                    s.baseLuminance = dot(headOnColor, vec3(1.0 / 3.0));
+                    s.relit = channelLuminance;
+                    s.albedo = vec3(1.0);
+                #endif
+
+                // Basis models have no quadratic terms to amplify
+                s.curvature = vec3(0.0);
+
+                // Each channel's relit intensity is evaluated directly
+                s.color = clamp(channelLuminance, 0.0, 1.0);
+            #elif defined(PER_CHANNEL)
+                // Evaluate a separate polynomial for each colour channel
+                vec3 redHigh = CHANNEL_COEFFS(1, uv);
+                vec3 greenHigh = CHANNEL_COEFFS(3, uv);
+                vec3 blueHigh = CHANNEL_COEFFS(5, uv);
+
+                vec3 channelLuminance = vec3(
+                    evaluatePTM(CHANNEL_COEFFS(0, uv), redHigh, lu, lv),
+                    evaluatePTM(CHANNEL_COEFFS(2, uv), greenHigh, lu, lv),
+                    evaluatePTM(CHANNEL_COEFFS(4, uv), blueHigh, lu, lv)
+                ) / 255.0;
+
+                // Grey-level luminance is the channel mean
+                s.luminance = dot(channelLuminance, vec3(1.0 / 3.0));
+                s.baseLuminance = (redHigh.b + greenHigh.b + blueHigh.b) / (3.0 * 255.0);
+                s.color = clamp(channelLuminance, 0.0, 1.0);
+                s.relit = channelLuminance;
+                s.albedo = vec3(1.0);
+                s.curvature = vec3(
+                    dot(CHANNEL_COEFFS(0, uv), d2),
+                    dot(CHANNEL_COEFFS(2, uv), d2),
+                    dot(CHANNEL_COEFFS(4, uv), d2)
+                ) / 255.0;
+            #else
                 // Sample coefficient textures
-                vec3 coeff012 = texture2D(u_coeffTex0, v_texCoord).rgb;
-                vec3 coeff345 = texture2D(u_coeffTex1, v_texCoord).rgb;
+                vec3 coeff012 = SAMPLE_COEFFS(u_coeffTex0, u_coeffLowTex0, uv);
+                vec3 coeff345 = SAMPLE_COEFFS(u_coeffTex1, u_coeffLowTex1, uv);
 
                 // Denormalize coefficients using their actual ranges
                 float a0 = denormalize(coeff012.r, u_coeffRange0);
@@ -85,67 +497,64 @@ class RTIRenderer {
                 float a4 = denormalize(coeff345.g, u_coeffRange4);
                 float a5 = denormalize(coeff345.b, u_coeffRange5);
 
-                // Light direction components
-                float lu = u_lightDir.x;
-                float lv = u_lightDir.y;
+                // PTM luminance is in the 0-255 range; normalize to 0-1
+                s.luminance = evaluatePTM(vec3(a0, a1, a2), vec3(a3, a4, a5), lu, lv) / 255.0;
+                s.baseLuminance = a5 / 255.0;
 
-                // Compute luminance using PTM polynomial
-                // L = a0*lu² + a1*lv² + a2*lu*lv + a3*lu + a4*lv + a5
-                float luminance = a0 * lu * lu +
-                                  a1 * lv * lv +
-                                  a2 * lu * lv +
-                                  a3 * lu +
-                                  a4 * lv +
-                                  a5;
+                // PTM luminance modulates the stored colour
+                s.relit = vec3(s.luminance);
+                s.albedo = texture2D(u_rgbTex, uv).rgb;
+                s.curvature = vec3(dot(vec3(a0, a1, a2), d2) / 255.0);
+                s.color = s.albedo * clamp(s.luminance, 0.0, 1.0);
+            #endif
 
-                // PTM luminance is typically in 0-255 range, normalize to 0-1
-                luminance = luminance / 255.0;
+                // Light vector (lu, lv, sqrt(1 - lu² - lv²))
+                float lz = sqrt(max(0.0, 1.0 - lu * lu - lv * lv));
+                s.light = normalize(vec3(lu, lv, lz));
 
-                // Get the base luminance (a5) normalized
-                float baseLuminance = a5 / 255.0;
+                return s;
+            }
 
-                // Compute a simple specular component
-                vec3 normal = texture2D(u_normalTex, v_texCoord).rgb * 2.0 - 1.0;
+            // View mode "${mode.name}"
+` + modeUniforms + mode.shader + `
 
-                // Light vector (lu, lv, sqrt(1 - lu² - lv²))
-                float lz = sqrt(max(0.0, 1.0 - lu * lu - lv * lv));
-                vec3 lightVec = normalize(vec3(lu, lv, lz));
-
-                // View vector (looking straight at surface)
-                vec3 viewVec = vec3(0.0, 0.0, 1.0);
-
-                // Reflection vector for specular
-                vec3 reflectVec = reflect(-lightVec, normal);
-                float specular = pow(max(0.0, dot(reflectVec, viewVec)), 20.0);
-
-                if (u_viewMode == 2) {
-                    // Normal map visualization
-                    gl_FragColor = vec4(normal * 0.5 + 0.5, 1.0);
-                } else if (u_viewMode == 1) {
-                    // Specular-only mode (grayscale specular highlight)
-                    // Show the luminance variation from the PTM (difference from base)
-                    float lumVariation = (luminance - baseLuminance) * 2.0 + 0.5;
-                    lumVariation = clamp(lumVariation * u_specularEnhancement, 0.0, 1.0);
-
-                    gl_FragColor = vec4(vec3(lumVariation), 1.0);
-                } else {
-                    // Default mode - full color with relighting
-                    vec3 baseColor = texture2D(u_rgbTex, v_texCoord).rgb;
-
-                    // PTM luminance directly modulates the color
-                    // luminance is already in 0-1 range from normalization above
-                    // Clamp to valid range and apply
-                    luminance = clamp(luminance, 0.0, 1.0);
-                    float lumFactor = luminance * u_diffuseGain;
-
-                    vec3 diffuse = baseColor * lumFactor;
-
-                    // Add specular highlight
-                    vec3 specColor = vec3(1.0, 1.0, 0.95) * specular * u_specularEnhancement * 0.3;
-
-                    vec3 finalColor = diffuse + specColor;
-                    gl_FragColor = vec4(clamp(finalColor, 0.0, 1.0), 1.0);
+            void main() {
+                vec4 color = vec4(0.0);
+                for (int i = 0; i < ${mode.lit ? 'LIGHTS' : '1'}; i++) {
+                    lightDir = u_lightDir[i];
+                    vec3 lightColor = u_lightColor[i];
+                #if defined(BASIS)
+                    for (int w = 0; w < BASIS_TEXTURES * 3; w++) {
+                        basisWeights[w] = u_basisWeights[i * BASIS_TEXTURES * 3 + w];
+                    }
+                    basisOffset = u_basisOffset[i];
+                #endif
+
+                    // Lamps light each pixel from its own direction, with falloff
+                    // (see Lights.lampAt). Closed-form basis weights (HSH, PTM) are
+                    // evaluated for it here; sampled bases (RBF, bilinear) keep the
+                    // CPU's weights for the direction from the target
+                    if (u_lampPos[i].w > 0.0) {
+                        vec3 toLamp = u_lampPos[i].xyz - vec3(v_imagePos, 0.0);
+                        float lampDistance = max(length(toLamp), 1.0);
+                        float falloff = u_lampPos[i].w / lampDistance;
+                        float cone = smoothstep(u_spotCone[i].x, u_spotCone[i].y,
+                                                dot(-toLamp / lampDistance, u_spotAxis[i]));
+                        lightColor *= falloff * falloff * cone;
+                    #if !defined(BASIS) || defined(BASIS_TERMS)
+                        lightDir = vec2(toLamp.x, -toLamp.y) / lampDistance;
+                    #endif
+                    #if defined(BASIS_TERMS)
+                        setBasisWeights(normalize(vec3(lightDir, sqrt(max(0.0, 1.0 - dot(lightDir, lightDir))))));
+                    #endif
+                    }
+
+                    vec4 shaded = shade(surfaceAt(v_texCoord));
+                    ${mode.lit
+                        ? 'color = vec4(color.rgb + lightColor * shaded.rgb, max(color.a, shaded.a));'
+                        : 'color = shaded;'}
                 }
+                gl_FragColor = color;
             }
         `;
 
@@ -154,37 +563,38 @@ class RTIRenderer {
         const fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, fragmentShaderSource);
 
         // Create program
-        this.program = gl.createProgram();
-        gl.attachShader(this.program, vertexShader);
-        gl.attachShader(this.program, fragmentShader);
-        gl.linkProgram(this.program);
-
-        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
-            throw new Error('Shader program failed to link: ' + gl.getProgramInfoLog(this.program));
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+
+        // The program keeps its compiled shaders
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const info = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error(`View mode "${mode.name}" failed to link: ${info}`);
         }
 
         // Get attribute and uniform locations
-        this.attribLocations = {
-            position: gl.getAttribLocation(this.program, 'a_position'),
-            texCoord: gl.getAttribLocation(this.program, 'a_texCoord')
+        const attribLocations = {
+            position: gl.getAttribLocation(program, 'a_position'),
+            texCoord: gl.getAttribLocation(program, 'a_texCoord')
         };
 
-        this.uniformLocations = {
-            coeffTex0: gl.getUniformLocation(this.program, 'u_coeffTex0'),
-            coeffTex1: gl.getUniformLocation(this.program, 'u_coeffTex1'),
-            rgbTex: gl.getUniformLocation(this.program, 'u_rgbTex'),
-            normalTex: gl.getUniformLocation(this.program, 'u_normalTex'),
-            lightDir: gl.getUniformLocation(this.program, 'u_lightDir'),
-            viewMode: gl.getUniformLocation(this.program, 'u_viewMode'),
-            specularEnhancement: gl.getUniformLocation(this.program, 'u_specularEnhancement'),
-            diffuseGain: gl.getUniformLocation(this.program, 'u_diffuseGain'),
-            coeffRange0: gl.getUniformLocation(this.program, 'u_coeffRange0'),
-            coeffRange1: gl.getUniformLocation(this.program, 'u_coeffRange1'),
-            coeffRange2: gl.getUniformLocation(this.program, 'u_coeffRange2'),
-            coeffRange3: gl.getUniformLocation(this.program, 'u_coeffRange3'),
-            coeffRange4: gl.getUniformLocation(this.program, 'u_coeffRange4'),
-            coeffRange5: gl.getUniformLocation(this.program, 'u_coeffRange5')
-        };
+        const uniformLocations = {};
+        RTIRenderer.UNIFORMS.forEach(name => {
+            uniformLocations[name] = gl.getUniformLocation(program, `u_${name}`);
+        });
+
+        const modeUniformLocations = {};
+        Object.keys(mode.uniforms).forEach(name => {
+            modeUniformLocations[name] = gl.getUniformLocation(program, `u_${name}`);
+        });
+
+        return { mode, program, attribLocations, uniformLocations, modeUniformLocations };
     }
 
     /**
@@ -243,27 +653,63 @@ class RTIRenderer {
      */
     loadPTM(ptmData) {
         const gl = this.gl;
+        this.releaseTextures();
         this.ptmData = ptmData;
 
         console.log('=== loadPTM called ===');
 
-        // Resize canvas to match PTM dimensions
-        this.canvas.width = ptmData.width;
-        this.canvas.height = ptmData.height;
-        gl.viewport(0, 0, ptmData.width, ptmData.height);
-        console.log('Canvas resized to:', ptmData.width, 'x', ptmData.height);
+        // PTM_FORMAT_RGB data carries a coefficient set per colour channel;
+        // HSH and Relight data carry generic basis planes
+        const textureCount = ptmData.planes
+            ? Math.ceil(ptmData.planes.length / 3)
+            : (ptmData.channelCoefficients ? 6 : 2);
+        const maxUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+        if (textureCount + 2 > maxUnits) {
+            throw new Error(`${ptmData.format} needs ${textureCount + 2} texture units, but this GPU has ${maxUnits}`);
+        }
 
-        // Create coefficient textures
-        console.log('Creating coefficient textures...');
-        this.createCoefficientTextures(ptmData);
+        // Packed 16-bit coefficients need a second texture per group; drop to 8 bits if they don't fit
+        this.coefficientPrecision = this.textureFormat.precision;
+        if (this.coefficientPrecision === 'packed16' && textureCount * 2 + 2 > maxUnits) {
+            console.warn(`Not enough texture units for 16-bit coefficients (${textureCount * 2 + 2} > ${maxUnits}), using 8 bits`);
+            this.coefficientPrecision = 'byte';
+        }
 
-        // Create RGB texture
-        console.log('Creating RGB texture...');
-        this.createRGBTexture(ptmData);
+        let defines = [];
+        if (ptmData.planes) {
+            defines = ['BASIS', `BASIS_TEXTURES ${textureCount}`];
+            if (ptmData.colorspace === 'lrgb') {
+                defines.push('BASIS_LRGB');
+            } else if (ptmData.colorspace === 'ycc') {
+                defines.push('BASIS_YCC');
+            }
+            // Closed-form weights are evaluated per pixel for lamps
+            if (RTIBasis.hasClosedForm(ptmData)) {
+                defines.push(ptmData.basis === 'hsh' ? 'BASIS_HSH' : 'BASIS_PTM',
+                    `BASIS_TERMS ${ptmData.basis === 'hsh' ? ptmData.basisParams.terms : 6}`);
+            }
+        } else if (ptmData.channelCoefficients) {
+            defines = ['PER_CHANNEL'];
+        }
+        if (this.coefficientPrecision === 'packed16') {
+            defines.push('PACKED16');
+        }
+        if (defines.join() !== this.shaderDefines.join()) {
+            this.initShaders(defines);
+        }
 
-        // Create normal texture
-        console.log('Creating normal texture...');
-        this.createNormalTexture(ptmData);
+        const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        if (Math.max(ptmData.width, ptmData.height) > maxTextureSize) {
+            // Too large for one texture: tiles are uploaded as they come into view
+            const border = RTIRenderer.TILE_BORDER;
+            const tileSize = Math.min(this.tileSize, maxTextureSize - 2 * border);
+            this.pyramid = new TilePyramid(ptmData, tileSize, border);
+            console.log(`Image exceeds MAX_TEXTURE_SIZE (${maxTextureSize}): ` +
+                `${this.pyramid.levelCount} pyramid levels of ${tileSize}px tiles`);
+        } else {
+            console.log('Creating textures...');
+            this.textureSet = this.createTextureSet(ptmData);
+        }
 
         // Check for WebGL errors
         const error = gl.getError();
@@ -277,12 +723,131 @@ class RTIRenderer {
 
         // Check canvas has content
         const pixels = new Uint8Array(4);
-        gl.readPixels(ptmData.width / 2, ptmData.height / 2, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.readPixels(this.canvas.width / 2, this.canvas.height / 2, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
         console.log('Center pixel after render:', pixels);
 
         console.log('=== loadPTM complete ===');
     }
 
+    /**
+     * Create the coefficient, RGB and normal textures for an image or a tile
+     * @returns {Object} Texture set: the texture fields render() binds, plus their size in bytes
+     */
+    createTextureSet(data) {
+        if (data.planes) {
+            this.createBasisTextures(data);
+        } else if (data.channelCoefficients) {
+            this.createChannelTextures(data);
+        } else {
+            this.createCoefficientTextures(data);
+        }
+        this.createRGBTexture(data);
+        this.createNormalTexture(data);
+        this.textureSize = [data.width, data.height];
+
+        const set = { bytes: this.textureSetBytes(data) };
+        RTIRenderer.TEXTURE_SET_FIELDS.forEach(field => {
+            set[field] = this[field];
+        });
+        return set;
+    }
+
+    /**
+     * Make a texture set the one render() binds
+     */
+    useTextureSet(set) {
+        RTIRenderer.TEXTURE_SET_FIELDS.forEach(field => {
+            this[field] = set[field];
+        });
+    }
+
+    /**
+     * Delete the textures of a texture set
+     */
+    deleteTextureSet(set) {
+        const gl = this.gl;
+        const textures = [set.coeffTex0, set.coeffTex1, set.coeffLowTex0, set.coeffLowTex1, set.rgbTex, set.normalTex]
+            .concat(set.channelTextures || [], set.channelLowTextures || [])
+            .concat(set.basisTextures || [], set.basisLowTextures || []);
+
+        textures.forEach(texture => {
+            if (texture) gl.deleteTexture(texture);
+        });
+    }
+
+    /**
+     * Approximate GPU memory of a texture set
+     */
+    textureSetBytes(data) {
+        const textureCount = data.planes
+            ? Math.ceil(data.planes.length / 3)
+            : (data.channelCoefficients ? 6 : 2);
+
+        let coefficientTexel = 4;
+        if (this.coefficientPrecision === 'packed16') {
+            coefficientTexel = 8;
+        } else if (this.coefficientPrecision === 'float') {
+            coefficientTexel = this.textureFormat.internalFormat === this.gl.RGBA16F ? 8 : 16;
+        }
+
+        // Coefficient textures plus the RGB and normal maps
+        return data.width * data.height * (textureCount * coefficientTexel + 8);
+    }
+
+    /**
+     * Texture set for a tile, uploading it on first use
+     */
+    getTile(tile) {
+        let set = this.tileCache.get(tile.key);
+
+        if (set) {
+            this.tileCache.delete(tile.key);
+        } else {
+            set = this.createTextureSet(this.pyramid.tileData(tile));
+            this.tileCacheBytes += set.bytes;
+        }
+
+        // Map order is insertion order: most recently used last
+        this.tileCache.set(tile.key, set);
+        return set;
+    }
+
+    /**
+     * Delete least recently used tiles until the cache fits its budget
+     * @param {Set<string>} keep - Keys of tiles drawn this frame, never evicted
+     */
+    evictTiles(keep) {
+        for (const [key, set] of this.tileCache) {
+            if (this.tileCacheBytes <= this.tileMemoryBudget) break;
+            if (keep.has(key)) continue;
+
+            this.deleteTextureSet(set);
+            this.tileCache.delete(key);
+            this.tileCacheBytes -= set.bytes;
+        }
+    }
+
+    /**
+     * Delete every cached tile
+     */
+    clearTileCache() {
+        this.tileCache.forEach(set => this.deleteTextureSet(set));
+        this.tileCache.clear();
+        this.tileCacheBytes = 0;
+    }
+
+    /**
+     * Delete the textures of the loaded image
+     */
+    releaseTextures() {
+        if (this.textureSet) {
+            this.deleteTextureSet(this.textureSet);
+            this.textureSet = null;
+        }
+        this.clearTileCache();
+        this.pyramid = null;
+    }
+
     /**
      * Draw a simple test pattern to verify WebGL works
      */
@@ -300,56 +865,174 @@ class RTIRenderer {
      * Pack coefficients into RGB textures for efficiency
      */
     createCoefficientTextures(ptmData) {
-        const gl = this.gl;
-        const { width, height, coefficients } = ptmData;
-        const pixelCount = width * height;
+        const { coefficients } = ptmData;
+
+        const packed = this.createPackedTextures(
+            [coefficients.slice(0, 3), coefficients.slice(3, 6)],
+            ptmData.width,
+            ptmData.height
+        );
 
-        // Find min/max for each coefficient to determine proper scaling
+        // First texture: a0, a1, a2; second texture: a3, a4, a5
+        [this.coeffTex0, this.coeffTex1] = packed.textures;
+        [this.coeffLowTex0, this.coeffLowTex1] = packed.lowTextures || [];
+
+        // Ranges to denormalize each coefficient
         this.coeffRanges = [];
         for (let c = 0; c < 6; c++) {
-            let min = Infinity, max = -Infinity;
-            for (let i = 0; i < pixelCount; i++) {
-                const val = coefficients[c][i];
-                if (val < min) min = val;
-                if (val > max) max = val;
-            }
-            this.coeffRanges.push({ min, max });
-            console.log(`Coefficient a${c}: min=${min.toFixed(2)}, max=${max.toFixed(2)}`);
+            this.coeffRanges.push({ min: packed.min[c], max: packed.max[c] });
+            console.log(`Coefficient a${c}: min=${packed.min[c].toFixed(2)}, max=${packed.max[c].toFixed(2)}`);
         }
+    }
 
-        // First texture: a0, a1, a2 packed into RGB
-        const coeff0Data = new Uint8Array(pixelCount * 4);
-        for (let i = 0; i < pixelCount; i++) {
-            // Normalize each coefficient to 0-255 based on its actual range
-            coeff0Data[i * 4] = this.normalizeCoeff(coefficients[0][i], 0);
-            coeff0Data[i * 4 + 1] = this.normalizeCoeff(coefficients[1][i], 1);
-            coeff0Data[i * 4 + 2] = this.normalizeCoeff(coefficients[2][i], 2);
-            coeff0Data[i * 4 + 3] = 255;
+    /**
+     * Create textures for per-channel PTM coefficients (PTM_FORMAT_RGB)
+     * Each channel gets two RGB textures (a0-a2 and a3-a5)
+     */
+    createChannelTextures(ptmData) {
+        const { channelCoefficients } = ptmData;
+        const groups = [];
+
+        for (let ch = 0; ch < 3; ch++) {
+            groups.push(channelCoefficients[ch].slice(0, 3));
+            groups.push(channelCoefficients[ch].slice(3, 6));
         }
 
-        this.coeffTex0 = this.createTexture(coeff0Data, width, height);
+        const packed = this.createPackedTextures(groups, ptmData.width, ptmData.height);
+        this.channelTextures = packed.textures;
+        this.channelLowTextures = packed.lowTextures;
+        this.channelMin = packed.min;
+        this.channelMax = packed.max;
+    }
 
-        // Second texture: a3, a4, a5 packed into RGB
-        const coeff1Data = new Uint8Array(pixelCount * 4);
-        for (let i = 0; i < pixelCount; i++) {
-            coeff1Data[i * 4] = this.normalizeCoeff(coefficients[3][i], 3);
-            coeff1Data[i * 4 + 1] = this.normalizeCoeff(coefficients[4][i], 4);
-            coeff1Data[i * 4 + 2] = this.normalizeCoeff(coefficients[5][i], 5);
-            coeff1Data[i * 4 + 3] = 255;
+    /**
+     * Create textures for generic basis planes (HSH, Relight)
+     * Planes are packed in order, three per texture
+     */
+    createBasisTextures(ptmData) {
+        const { planes } = ptmData;
+        const groups = [];
+
+        for (let p = 0; p < planes.length; p += 3) {
+            groups.push(planes.slice(p, p + 3));
         }
 
-        this.coeffTex1 = this.createTexture(coeff1Data, width, height);
+        const packed = this.createPackedTextures(groups, ptmData.width, ptmData.height);
+        this.basisTextures = packed.textures;
+        this.basisLowTextures = packed.lowTextures;
+        this.basisMin = packed.min;
+        this.basisMax = packed.max;
+    }
+
+    /**
+     * Pack float planes three at a time into RGB textures
+     * Each plane is normalized to 0-1 using its own min/max, which the
+     * shader uses to denormalize. The normalized values are stored at
+     * this.coefficientPrecision: as floats, as 16 bits split into a
+     * high-byte and a low-byte texture, or as single bytes.
+     * @param {Array<Array<Float32Array>>} groups - Up to three planes per texture
+     * @returns {Object} {textures, lowTextures, min, max} with min/max as 3 floats per
+     *   texture; lowTextures is null unless the precision is packed16
+     */
+    createPackedTextures(groups, width, height) {
+        const pixelCount = width * height;
+        const precision = this.coefficientPrecision;
+        const textures = [];
+        const lowTextures = precision === 'packed16' ? [] : null;
+        const min = new Float32Array(groups.length * 3);
+        const max = new Float32Array(groups.length * 3);
+
+        groups.forEach((planes, texIndex) => {
+            const data = precision === 'float' ? new Float32Array(pixelCount * 4) : new Uint8Array(pixelCount * 4);
+            const lowData = lowTextures ? new Uint8Array(pixelCount * 4) : null;
+
+            planes.forEach((plane, k) => {
+                let lo = Infinity, hi = -Infinity;
+                for (let i = 0; i < pixelCount; i++) {
+                    if (plane[i] < lo) lo = plane[i];
+                    if (plane[i] > hi) hi = plane[i];
+                }
+                min[texIndex * 3 + k] = lo;
+                max[texIndex * 3 + k] = hi;
+
+                const span = hi - lo;
+                for (let i = 0; i < pixelCount; i++) {
+                    if (precision === 'float') {
+                        data[i * 4 + k] = span === 0 ? 0.5 : (plane[i] - lo) / span;
+                    } else if (precision === 'packed16') {
+                        const value = span === 0 ? 32768 : Math.round((plane[i] - lo) / span * 65535);
+                        data[i * 4 + k] = value >> 8;
+                        lowData[i * 4 + k] = value & 255;
+                    } else {
+                        data[i * 4 + k] = span === 0 ? 128 : Math.floor((plane[i] - lo) / span * 255);
+                    }
+                }
+            });
+
+            const opaque = precision === 'float' ? 1 : 255;
+            for (let i = 0; i < pixelCount; i++) {
+                data[i * 4 + 3] = opaque;
+            }
+
+            if (precision === 'byte') {
+                textures.push(this.createTexture(data, width, height));
+            } else {
+                textures.push(this.createTexture(data, width, height, this.textureFormat));
+            }
+
+            if (lowTextures) {
+                for (let i = 0; i < pixelCount; i++) {
+                    lowData[i * 4 + 3] = 255;
+                }
+                lowTextures.push(this.createTexture(lowData, width, height, this.textureFormat));
+            }
+        });
+
+        return { textures, lowTextures, min, max };
+    }
+
+    /**
+     * Bind coefficient textures, followed by their low-byte partners when
+     * packed16, to the coefficient texture units
+     * @returns {Object} {units, lowUnits} for the sampler uniforms
+     */
+    bindCoefficientTextures(textures, lowTextures) {
+        const gl = this.gl;
+        const all = lowTextures ? textures.concat(lowTextures) : textures;
+        const units = this.coefficientUnits(all.length);
+
+        all.forEach((texture, i) => {
+            gl.activeTexture(gl.TEXTURE0 + units[i]);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+        });
+
+        return { units: units.slice(0, textures.length), lowUnits: units.slice(textures.length) };
+    }
+
+    /**
+     * Zero-pad plane weights when the last basis texture is not full
+     */
+    padWeights(weights, length) {
+        if (weights.length === length) {
+            return weights;
+        }
+        const padded = new Float32Array(length);
+        padded.set(weights);
+        return padded;
     }
 
     /**
-     * Normalize a coefficient value to 0-255 range
+     * Texture units for coefficient textures: units 2 and 3 hold the RGB
+     * and normal maps, so coefficient textures use 0, 1, then 4 onwards
      */
-    normalizeCoeff(value, coeffIndex) {
-        const range = this.coeffRanges[coeffIndex];
-        const span = range.max - range.min;
-        if (span === 0) return 128;
-        const normalized = (value - range.min) / span;
-        return Math.max(0, Math.min(255, Math.floor(normalized * 255)));
+    coefficientUnits(count) {
+        const units = [];
+        for (let unit = 0; units.length < count; unit++) {
+            if (unit !== 2 && unit !== 3) {
+                units.push(unit);
+            }
+        }
+        return units;
     }
 
     /**
@@ -372,6 +1055,54 @@ class RTIRenderer {
         this.rgbTex = this.createTexture(rgbaData, width, height);
     }
 
+    /**
+     * Replace the normal map (e.g. after switching normal estimation method)
+     * @param {Float32Array} normals - width*height*3 unit normals
+     */
+    setNormals(normals) {
+        if (!this.ptmData) return;
+
+        this.ptmData.normals = normals;
+
+        // A lost context rebuilds its textures from ptmData when restored
+        if (this.gl.isContextLost()) return;
+
+        if (this.pyramid) {
+            this.pyramid.invalidate();
+            this.clearTileCache();
+        } else {
+            this.gl.deleteTexture(this.textureSet.normalTex);
+            this.createNormalTexture(this.ptmData);
+            this.textureSet.normalTex = this.normalTex;
+        }
+        this.render();
+    }
+
+    /**
+     * Set the base colour of luminance-only (PTM_FORMAT_LUM) data
+     * Other formats carry their own colour, so this is a no-op for them.
+     * @param {Array<number>} color - [r, g, b] in 0-255
+     */
+    setBaseColor(color) {
+        if (!this.ptmData || this.ptmData.format !== 'PTM_FORMAT_LUM') {
+            return;
+        }
+
+        PTMParser.fillBaseColor(this.ptmData.rgb, color);
+
+        if (this.gl.isContextLost()) return;
+
+        if (this.pyramid) {
+            this.pyramid.invalidate();
+            this.clearTileCache();
+        } else {
+            this.gl.deleteTexture(this.textureSet.rgbTex);
+            this.createRGBTexture(this.ptmData);
+            this.textureSet.rgbTex = this.rgbTex;
+        }
+        this.render();
+    }
+
     /**
      * Create texture for normal map
      */
@@ -394,9 +1125,14 @@ class RTIRenderer {
 
     /**
      * Create a WebGL texture from pixel data
+     * @param {Object} format - Optional {internalFormat, type, filter}; defaults to
+     *   linearly filtered RGBA bytes
      */
-    createTexture(data, width, height) {
+    createTexture(data, width, height, format = null) {
         const gl = this.gl;
+        const internalFormat = format ? format.internalFormat : gl.RGBA;
+        const type = format ? format.type : gl.UNSIGNED_BYTE;
+        const filter = format ? format.filter : gl.LINEAR;
 
         const texture = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, texture);
@@ -404,20 +1140,20 @@ class RTIRenderer {
         gl.texImage2D(
             gl.TEXTURE_2D,
             0,
-            gl.RGBA,
+            internalFormat,
             width,
             height,
             0,
             gl.RGBA,
-            gl.UNSIGNED_BYTE,
+            type,
             data
         );
 
         // Set texture parameters
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
 
         return texture;
     }
@@ -426,36 +1162,128 @@ class RTIRenderer {
      * Set light direction
      * @param {number} x - Light X direction (-1 to 1)
      * @param {number} y - Light Y direction (-1 to 1)
+     * @param {number} index - Which light to move (default: the first)
+     */
+    setLightDirection(x, y, index = 0) {
+        const light = this.lights[index];
+        light.x = Math.max(-1, Math.min(1, x));
+        light.y = Math.max(-1, Math.min(1, y));
+        this.render();
+    }
+
+    /**
+     * Replace the lights
+     * The shader is compiled for the number of lights, so adding or removing
+     * one recompiles it; on a compile error the previous lights are kept.
+     * @param {Array<Object>} lights - 1 to Lights.MAX lights, directional or point (see Lights)
      */
-    setLightDirection(x, y) {
-        this.lightX = Math.max(-1, Math.min(1, x));
-        this.lightY = Math.max(-1, Math.min(1, y));
+    setLights(lights) {
+        const previous = this.lights;
+        this.lights = Lights.normalize(lights);
+
+        if (this.lights.length !== previous.length && !this.gl.isContextLost()) {
+            try {
+                this.initShaders(this.shaderDefines);
+            } catch (error) {
+                this.lights = previous;
+                this.initShaders(this.shaderDefines);
+                throw error;
+            }
+        }
         this.render();
     }
 
+    /**
+     * Resize the canvas (the viewport) in device pixels
+     */
+    setViewportSize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.gl.viewport(0, 0, width, height);
+
+        if (this.ptmData) {
+            this.render();
+        }
+    }
+
+    /**
+     * Set the zoom and pan transform
+     * @param {ViewTransform} view - Placement of the image in the canvas
+     */
+    setView(view) {
+        this.view = view;
+        this.render();
+    }
+
+    /**
+     * Register a view mode for all renderers (see RenderModes.register)
+     * @param {string} name - Mode name passed to setViewMode
+     * @param {Object} mode - {label, shader, uniforms, controls, cpu}
+     */
+    static registerMode(name, mode) {
+        return RenderModes.register(name, mode);
+    }
+
+    /**
+     * Whether a view mode can be shown; every registered mode has a shader,
+     * but some only apply to certain data (see the mode's supports())
+     */
+    supportsMode(name) {
+        const mode = RenderModes.modes.get(name);
+        return !!mode && (!mode.supports || !this.ptmData || mode.supports(this.ptmData));
+    }
+
     /**
      * Set view mode
-     * @param {string} mode - 'default', 'specular', or 'normals'
+     * The mode's program is compiled here, so shader errors in a custom mode
+     * reach the caller and the previous mode stays active.
+     * @param {string} mode - Name of a registered mode, e.g. 'default', 'diffuse-gain' or 'normals'
      */
     setViewMode(mode) {
+        RenderModes.get(mode);
+
+        const previous = this.viewMode;
         this.viewMode = mode;
+        if (!this.gl.isContextLost()) {
+            try {
+                this.selectProgram();
+            } catch (error) {
+                this.viewMode = previous;
+                throw error;
+            }
+        }
         this.render();
     }
 
     /**
-     * Set specular enhancement factor
+     * Set a view mode parameter (a uniform declared by one or more modes)
+     * @param {string} name - Uniform name without the u_ prefix, e.g. 'diffuseGain'
+     * @param {*} value - Number, or array for vector uniforms
      */
-    setSpecularEnhancement(value) {
-        this.specularEnhancement = value;
+    setParameter(name, value) {
+        this.params[name] = value;
         this.render();
     }
 
     /**
-     * Set diffuse gain factor
+     * Current value of a parameter of the active view mode (its default until set)
      */
-    setDiffuseGain(value) {
-        this.diffuseGain = value;
-        this.render();
+    getParameter(name) {
+        return RenderModes.params(this.viewMode, this.params)[name];
+    }
+
+    /**
+     * Upload the active view mode's uniforms
+     */
+    setModeUniforms() {
+        const gl = this.gl;
+        const mode = RenderModes.get(this.viewMode);
+        const values = RenderModes.params(mode.name, this.params);
+
+        Object.entries(mode.uniforms).forEach(([name, spec]) => {
+            const value = spec.type === 'bool' ? Number(values[name]) : values[name];
+            gl[RTIRenderer.UNIFORM_SETTERS[spec.type]](this.modeUniformLocations[name], value);
+        });
     }
 
     /**
@@ -469,20 +1297,22 @@ class RTIRenderer {
 
         const gl = this.gl;
 
-        // Check for WebGL context loss
+        // Nothing can be drawn until the context is restored (see restoreContext)
         if (gl.isContextLost()) {
-            console.error('WebGL context is lost!');
             return;
         }
 
-        gl.clearColor(0, 0, 0, 1);
+        // Transparent around the image, so the viewer background shows when zoomed out
+        gl.clearColor(0, 0, 0, 0);
         gl.clear(gl.COLOR_BUFFER_BIT);
 
+        // Picks up modes re-registered since the last frame
+        this.selectProgram();
         gl.useProgram(this.program);
 
         // Log first render
         if (!this._hasRendered) {
-            console.log('First render - light:', this.lightX, this.lightY, 'mode:', this.viewMode);
+            console.log('First render - lights:', this.lights, 'mode:', this.viewMode);
             this._hasRendered = true;
         }
 
@@ -496,34 +1326,156 @@ class RTIRenderer {
         gl.enableVertexAttribArray(this.attribLocations.texCoord);
         gl.vertexAttribPointer(this.attribLocations.texCoord, 2, gl.FLOAT, false, 0, 0);
 
-        // Bind textures
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.coeffTex0);
-        gl.uniform1i(this.uniformLocations.coeffTex0, 0);
+        // Set uniforms
+        gl.uniform2fv(this.uniformLocations.lightDir, this.lights.flatMap(light => [light.x, light.y]));
+        gl.uniform3fv(this.uniformLocations.lightColor, this.lights.flatMap(light => Lights.weight(light)));
+
+        // Point lights, in full-resolution image pixels
+        const lamps = this.lights.map(light => Lights.lamp(light, this.ptmData.width, this.ptmData.height));
+        gl.uniform4fv(this.uniformLocations.lampPos, lamps.flatMap(lamp => lamp ? lamp.position.concat(lamp.distance) : [0, 0, 0, 0]));
+        gl.uniform3fv(this.uniformLocations.spotAxis, lamps.flatMap(lamp => lamp ? lamp.axis : [0, 0, -1]));
+        gl.uniform2fv(this.uniformLocations.spotCone, lamps.flatMap(lamp => lamp ? lamp.cone : [-2, -1]));
+
+        this.setModeUniforms();
+
+        if (this.ptmData.planes) {
+            // Plane weights for each light, one after another, and for head-on light
+            const weightCount = Math.ceil(this.ptmData.planes.length / 3) * 9;
+            const weights = new Float32Array(this.lights.length * weightCount);
+            const offsets = [];
+            this.lights.forEach((light, i) => {
+                const [lx, ly, lz] = RTIBasis.lightVector(light.x, light.y);
+                const current = RTIBasis.planeWeights(this.ptmData, lx, ly, lz);
+                weights.set(current.weights, i * weightCount);
+                offsets.push(...current.offset);
+            });
+            const headOn = RTIBasis.planeWeights(this.ptmData, 0, 0, 1);
+            gl.uniform3fv(this.uniformLocations.basisWeights, weights);
+            gl.uniform3fv(this.uniformLocations.baseWeights, this.padWeights(headOn.weights, weightCount));
+            gl.uniform3fv(this.uniformLocations.basisOffset, offsets);
+            gl.uniform3fv(this.uniformLocations.baseOffset, headOn.offset);
+        }
 
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, this.coeffTex1);
-        gl.uniform1i(this.uniformLocations.coeffTex1, 1);
+        if (this.pyramid) {
+            this.renderTiles();
+        } else {
+            const { width, height } = this.ptmData;
+            this.useTextureSet(this.textureSet);
+            const rect = { x: 0, y: 0, width, height };
+            this.drawTextureSet(this.quadTransform(rect), { scale: [1, 1], offset: [0, 0] }, rect);
+        }
 
-        gl.activeTexture(gl.TEXTURE2);
-        gl.bindTexture(gl.TEXTURE_2D, this.rgbTex);
-        gl.uniform1i(this.uniformLocations.rgbTex, 2);
+        // Check for errors after draw
+        const error = gl.getError();
+        if (error !== gl.NO_ERROR) {
+            console.error('WebGL error after draw:', error);
+        }
+    }
 
-        gl.activeTexture(gl.TEXTURE3);
-        gl.bindTexture(gl.TEXTURE_2D, this.normalTex);
-        gl.uniform1i(this.uniformLocations.normalTex, 3);
+    /**
+     * Draw the visible tiles of the pyramid level matching the zoom
+     */
+    renderTiles() {
+        const pyramid = this.pyramid;
+        const { width, height } = this.ptmData;
+
+        const zoom = this.view ? this.view.zoom : Math.min(this.canvas.width / width, this.canvas.height / height);
+        const level = pyramid.levelForZoom(zoom);
+        const scale = Math.pow(2, level);
+        const visible = this.view ? this.view.visibleImageRect() : { x: 0, y: 0, width, height };
+
+        const drawn = new Set();
+        pyramid.visibleTiles(level, visible).forEach(tile => {
+            this.useTextureSet(this.getTile(tile));
+            drawn.add(tile.key);
+
+            // Full-resolution rectangle of the tile interior; the last row and column
+            // of a level can reach past the image edge, so clip them
+            const rect = {
+                x: tile.x * scale,
+                y: tile.y * scale,
+                width: Math.min(tile.width * scale, width - tile.x * scale),
+                height: Math.min(tile.height * scale, height - tile.y * scale)
+            };
+
+            // Texture coordinates of that rectangle inside the bordered tile texture
+            const border = pyramid.border;
+            const textureWidth = tile.width + 2 * border;
+            const textureHeight = tile.height + 2 * border;
+            this.drawTextureSet(this.quadTransform(rect), {
+                scale: [rect.width / scale / textureWidth, rect.height / scale / textureHeight],
+                offset: [border / textureWidth, border / textureHeight]
+            }, rect, scale);
+        });
+
+        this.evictTiles(drawn);
+    }
 
-        // Set uniforms
-        gl.uniform2f(this.uniformLocations.lightDir, this.lightX, this.lightY);
+    /**
+     * Clip-space placement of a full-resolution image rectangle
+     * Without a view the image is stretched over the whole canvas.
+     */
+    quadTransform(rect) {
+        if (this.view) {
+            return this.view.clipTransform(rect);
+        }
+
+        const { width, height } = this.ptmData;
+        return {
+            scale: [rect.width / width, rect.height / height],
+            offset: [
+                (rect.x + rect.width / 2) / width * 2 - 1,
+                1 - (rect.y + rect.height / 2) / height * 2
+            ]
+        };
+    }
 
-        const viewModeInt = this.viewMode === 'normals' ? 2 : (this.viewMode === 'specular' ? 1 : 0);
-        gl.uniform1i(this.uniformLocations.viewMode, viewModeInt);
+    /**
+     * Bind the current texture set and draw it as one quad
+     * @param {Object} transform - {scale, offset} placing the quad in clip space
+     * @param {Object} texTransform - {scale, offset} of the texture coordinates
+     * @param {Object} rect - Full-resolution image rectangle {x, y, width, height} the quad shows
+     * @param {number} pixelsPerTexel - Full-resolution pixels one texel covers (2^level for tiles)
+     */
+    drawTextureSet(transform, texTransform, rect, pixelsPerTexel = 1) {
+        const gl = this.gl;
 
-        gl.uniform1f(this.uniformLocations.specularEnhancement, this.specularEnhancement);
-        gl.uniform1f(this.uniformLocations.diffuseGain, this.diffuseGain);
+        gl.uniform2fv(this.uniformLocations.viewScale, transform.scale);
+        gl.uniform2fv(this.uniformLocations.viewOffset, transform.offset);
+        gl.uniform2fv(this.uniformLocations.texScale, texTransform.scale);
+        gl.uniform2fv(this.uniformLocations.texOffset, texTransform.offset);
+        gl.uniform4f(this.uniformLocations.imageRect, rect.x, rect.y, rect.width, rect.height);
+        gl.uniform2f(this.uniformLocations.texelSize, 1 / this.textureSize[0], 1 / this.textureSize[1]);
+        gl.uniform1f(this.uniformLocations.pixelsPerTexel, pixelsPerTexel);
 
-        // Set coefficient ranges for denormalization
-        if (this.coeffRanges) {
+        // Bind textures
+        if (this.ptmData.planes) {
+            const { units, lowUnits } = this.bindCoefficientTextures(this.basisTextures, this.basisLowTextures);
+            gl.uniform1iv(this.uniformLocations.basisTex, units);
+            if (this.basisLowTextures) {
+                gl.uniform1iv(this.uniformLocations.basisLowTex, lowUnits);
+            }
+            gl.uniform3fv(this.uniformLocations.basisMin, this.basisMin);
+            gl.uniform3fv(this.uniformLocations.basisMax, this.basisMax);
+        } else if (this.ptmData.channelCoefficients) {
+            const { units, lowUnits } = this.bindCoefficientTextures(this.channelTextures, this.channelLowTextures);
+            gl.uniform1iv(this.uniformLocations.channelTex, units);
+            if (this.channelLowTextures) {
+                gl.uniform1iv(this.uniformLocations.channelLowTex, lowUnits);
+            }
+            gl.uniform3fv(this.uniformLocations.channelMin, this.channelMin);
+            gl.uniform3fv(this.uniformLocations.channelMax, this.channelMax);
+        } else {
+            const lowTextures = this.coeffLowTex0 ? [this.coeffLowTex0, this.coeffLowTex1] : null;
+            const { units, lowUnits } = this.bindCoefficientTextures([this.coeffTex0, this.coeffTex1], lowTextures);
+            gl.uniform1i(this.uniformLocations.coeffTex0, units[0]);
+            gl.uniform1i(this.uniformLocations.coeffTex1, units[1]);
+            if (lowTextures) {
+                gl.uniform1i(this.uniformLocations.coeffLowTex0, lowUnits[0]);
+                gl.uniform1i(this.uniformLocations.coeffLowTex1, lowUnits[1]);
+            }
+
+            // Set coefficient ranges for denormalization
             gl.uniform2f(this.uniformLocations.coeffRange0, this.coeffRanges[0].min, this.coeffRanges[0].max);
             gl.uniform2f(this.uniformLocations.coeffRange1, this.coeffRanges[1].min, this.coeffRanges[1].max);
             gl.uniform2f(this.uniformLocations.coeffRange2, this.coeffRanges[2].min, this.coeffRanges[2].max);
@@ -532,14 +1484,105 @@ class RTIRenderer {
             gl.uniform2f(this.uniformLocations.coeffRange5, this.coeffRanges[5].min, this.coeffRanges[5].max);
         }
 
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.rgbTex);
+        gl.uniform1i(this.uniformLocations.rgbTex, 2);
+
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_2D, this.normalTex);
+        gl.uniform1i(this.uniformLocations.normalTex, 3);
+
         // Draw
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
 
-        // Check for errors after draw
-        const error = gl.getError();
-        if (error !== gl.NO_ERROR) {
-            console.error('WebGL error after draw:', error);
+    /**
+     * Render the image at a multiple of its native resolution into an offscreen framebuffer
+     * The drawing buffer is not preserved between frames and is only viewport-sized,
+     * so the image is drawn in pieces of at most the texture and viewport limits
+     * into a framebuffer texture and read back piece by piece.
+     * @param {number} scale - Output pixels per image pixel
+     * @returns {Object} {width, height, pixels} with RGBA pixels, top row first
+     */
+    renderImage(scale = 1) {
+        if (!this.ptmData) return null;
+
+        const gl = this.gl;
+        if (gl.isContextLost()) {
+            throw new Error('The WebGL context is lost; try again once the image reappears');
         }
+
+        const width = Math.max(1, Math.round(this.ptmData.width * scale));
+        const height = Math.max(1, Math.round(this.ptmData.height * scale));
+        const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const pieceSize = Math.min(4096, gl.getParameter(gl.MAX_TEXTURE_SIZE), maxViewportWidth, maxViewportHeight);
+
+        console.log(`Rendering ${width}x${height} image (scale ${scale}) in ${pieceSize}px pieces`);
+
+        const target = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, target);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, Math.min(width, pieceSize), Math.min(height, pieceSize), 0,
+            gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, 0);
+
+        const view = this.view;
+        const pixels = new Uint8ClampedArray(width * height * 4);
+
+        try {
+            const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+            if (status !== gl.FRAMEBUFFER_COMPLETE) {
+                throw new Error(`Offscreen framebuffer incomplete (status 0x${status.toString(16)})`);
+            }
+
+            for (let top = 0; top < height; top += pieceSize) {
+                for (let left = 0; left < width; left += pieceSize) {
+                    const pieceWidth = Math.min(pieceSize, width - left);
+                    const pieceHeight = Math.min(pieceSize, height - top);
+
+                    this.view = new ViewTransform(this.ptmData.width, this.ptmData.height);
+                    this.view.setViewportSize(pieceWidth, pieceHeight);
+                    this.view.showRegion(scale, left / scale, top / scale);
+
+                    gl.viewport(0, 0, pieceWidth, pieceHeight);
+                    this.render();
+
+                    const bottomUp = new Uint8Array(pieceWidth * pieceHeight * 4);
+                    gl.readPixels(0, 0, pieceWidth, pieceHeight, gl.RGBA, gl.UNSIGNED_BYTE, bottomUp);
+
+                    // WebGL reads from the bottom row up
+                    const stride = pieceWidth * 4;
+                    for (let y = 0; y < pieceHeight; y++) {
+                        const row = bottomUp.subarray((pieceHeight - 1 - y) * stride, (pieceHeight - y) * stride);
+                        pixels.set(row, ((top + y) * width + left) * 4);
+                    }
+                }
+            }
+        } finally {
+            this.view = view;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(target);
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            this.render();
+        }
+
+        return { width, height, pixels };
+    }
+
+    /**
+     * Read back the image at native resolution, in the same layout as SoftwareRenderer.readPixels
+     * @returns {Uint8ClampedArray} width*height*4 RGBA pixels, top row first
+     */
+    readPixels() {
+        const image = this.renderImage(1);
+        return image ? image.pixels : null;
     }
 
     /**
@@ -583,16 +1626,49 @@ class RTIRenderer {
     dispose() {
         const gl = this.gl;
 
-        if (this.coeffTex0) gl.deleteTexture(this.coeffTex0);
-        if (this.coeffTex1) gl.deleteTexture(this.coeffTex1);
-        if (this.rgbTex) gl.deleteTexture(this.rgbTex);
-        if (this.normalTex) gl.deleteTexture(this.normalTex);
+        this.releaseTextures();
         if (this.positionBuffer) gl.deleteBuffer(this.positionBuffer);
         if (this.texCoordBuffer) gl.deleteBuffer(this.texCoordBuffer);
-        if (this.program) gl.deleteProgram(this.program);
+        this.deletePrograms();
+
+        this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
     }
 }
 
+// Renderer fields holding one image's (or one tile's) textures and ranges
+RTIRenderer.TEXTURE_SET_FIELDS = [
+    'coeffTex0', 'coeffTex1', 'coeffLowTex0', 'coeffLowTex1', 'coeffRanges',
+    'channelTextures', 'channelLowTextures', 'channelMin', 'channelMax',
+    'basisTextures', 'basisLowTextures', 'basisMin', 'basisMax',
+    'rgbTex', 'normalTex', 'textureSize'
+];
+
+// Tile border in pixels: linear filtering plus the widest neighbourhood a
+// view mode samples (the unsharp masks reach 3 texels)
+RTIRenderer.TILE_BORDER = 4;
+
+// Shared uniforms of every view mode program (declared as u_<name>)
+RTIRenderer.UNIFORMS = [
+    'coeffTex0', 'coeffTex1', 'coeffLowTex0', 'coeffLowTex1', 'rgbTex', 'normalTex', 'lightDir', 'lightColor',
+    'lampPos', 'spotAxis', 'spotCone',
+    'viewScale', 'viewOffset', 'texScale', 'texOffset', 'imageRect', 'texelSize', 'pixelsPerTexel',
+    'coeffRange0', 'coeffRange1', 'coeffRange2', 'coeffRange3', 'coeffRange4', 'coeffRange5',
+    'channelTex', 'channelLowTex', 'channelMin', 'channelMax',
+    'basisTex', 'basisLowTex', 'basisMin', 'basisMax',
+    'basisWeights', 'baseWeights', 'basisOffset', 'baseOffset'
+];
+
+// WebGL calls setting each view mode uniform type
+RTIRenderer.UNIFORM_SETTERS = {
+    float: 'uniform1f',
+    int: 'uniform1i',
+    bool: 'uniform1i',
+    vec2: 'uniform2fv',
+    vec3: 'uniform3fv',
+    vec4: 'uniform4fv'
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RTIRenderer;
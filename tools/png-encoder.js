@@ -0,0 +1,51 @@
+/**
+ * PNG Encoder (Node.js)
+ *
+ * Minimal truecolour + alpha PNG writer for the command-line tool, using
+ * Node's zlib for compression. Optional text chunks carry metadata
+ * (see PNGMetadata, shared with the viewer's PNG export).
+ */
+
+const zlib = require('zlib');
+const PNGMetadata = require('../js/png-metadata.js');
+
+class PNGEncoder {
+    /**
+     * Encode RGBA pixels as a PNG file
+     * @param {Uint8Array|Uint8ClampedArray} rgba - width*height*4 pixels, top row first
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} text - Optional {keyword: value} pairs written as text chunks
+     * @returns {Buffer} The PNG file
+     */
+    static encode(rgba, width, height, text = {}) {
+        // IHDR: 8-bit RGBA, no interlacing
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;  // Bit depth
+        header[9] = 6;  // Colour type: RGBA
+        header[10] = 0; // Compression
+        header[11] = 0; // Filter method
+        header[12] = 0; // Interlace
+
+        // Every scanline starts with its filter type byte (0 = none)
+        const stride = width * 4;
+        const raw = Buffer.alloc((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw[y * (stride + 1)] = 0;
+            Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+        }
+
+        const png = Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            PNGMetadata.chunk('IHDR', header),
+            PNGMetadata.chunk('IDAT', zlib.deflateSync(raw)),
+            PNGMetadata.chunk('IEND', new Uint8Array(0))
+        ]);
+
+        return Buffer.from(PNGMetadata.addText(png, text));
+    }
+}
+
+module.exports = PNGEncoder;
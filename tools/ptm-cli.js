@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * PTM Command-Line Tool
+ *
+ * Headless inspection, conversion and rendering of PTM (and HSH .rti) files
+ * for batch pipelines. Everything runs on the CPU (CPURelighter), so no
+ * browser or GPU is needed.
+ *
+ * Usage:
+ *   node tools/ptm-cli.js info <file>
+ *   node tools/ptm-cli.js render <file> <out.png> [--lu 0] [--lv 0] [--mode <view mode>]
+ *                                                 [--<parameter> <value> ...]
+ *
+ *   The light direction can instead be given in degrees with --azimuth
+ *   (anticlockwise from +x) and --elevation (above the image plane).
+ *   --distance <image widths> makes the light a lamp that far from the image
+ *   centre in that direction, and --spot <degrees> gives it a spotlight cone.
+ *   Mode parameters are named after the mode's uniforms, e.g. --diffuseGain 4
+ *   or --highlightExponent 50, and take the range of the viewer's sliders.
+ *   node tools/ptm-cli.js normals <file> <out.png> [--method malzbender|gradient]
+ *   node tools/ptm-cli.js convert <file> <out.ptm> [--format PTM_FORMAT_LRGB|PTM_FORMAT_RGB]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The viewer modules resolve each other as globals, as they do in the page
+global.PTMParseError = require('../js/ptm-parse-error.js');
+global.ParseProgress = require('../js/parse-progress.js');
+global.JPEGLSDecoder = require('../js/jpegls-decoder.js');
+global.PTMParser = require('../js/ptm-parser.js');
+global.RTIBasis = require('../js/rti-basis.js');
+global.RTIParser = require('../js/rti-parser.js');
+global.PTMWriter = require('../js/ptm-writer.js');
+global.RenderModes = require('../js/render-modes.js');
+global.Lights = require('../js/lights.js');
+global.CPURelighter = require('../js/cpu-relighter.js');
+const PNGEncoder = require('./png-encoder.js');
+
+// View modes the CPU can render (see RenderModes)
+const VIEW_MODES = RenderModes.list().filter(mode => mode.cpu).map(mode => mode.name);
+
+const USAGE = `Usage:
+  ptm-cli info <file>
+  ptm-cli render <file> <out.png> [--lu 0 --lv 0 | --azimuth 0 --elevation 90] [--distance <widths> [--spot <degrees>]] [--mode ${VIEW_MODES.join('|')}] [--<parameter> <value>]
+  ptm-cli normals <file> <out.png> [--method malzbender|gradient]
+  ptm-cli convert <file> <out.ptm> [--format PTM_FORMAT_LRGB|PTM_FORMAT_RGB]`;
+
+const NORMAL_METHODS = ['malzbender', 'gradient'];
+
+/**
+ * Split arguments into positionals and --name value options
+ */
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for --${name}`);
+            }
+            options[name] = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    return { positional, options };
+}
+
+/**
+ * Read a numeric option, with a default and a range check
+ */
+function numberOption(options, name, defaultValue, min, max) {
+    if (options[name] === undefined) {
+        return defaultValue;
+    }
+
+    const value = Number(options[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`--${name} must be a number between ${min} and ${max}, got "${options[name]}"`);
+    }
+    return value;
+}
+
+/**
+ * Load and parse a .ptm or .rti file
+ * The parsers' debug logging is silenced so stdout stays clean for JSON output.
+ */
+async function loadFile(file) {
+    const bytes = fs.readFileSync(file);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const parser = path.extname(file).toLowerCase() === '.rti' ? new RTIParser() : new PTMParser();
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await parser.parse(buffer);
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Minimum and maximum of a plane
+ */
+function planeRange(plane) {
+    let min = Infinity, max = -Infinity;
+    for (let i = 0; i < plane.length; i++) {
+        if (plane[i] < min) min = plane[i];
+        if (plane[i] > max) max = plane[i];
+    }
+    return { min, max };
+}
+
+/**
+ * Header, dimensions and coefficient ranges as a plain object
+ */
+function describe(data, file) {
+    const info = {
+        file: path.basename(file),
+        version: data.version,
+        format: data.format,
+        width: data.width,
+        height: data.height,
+        scale: data.scale,
+        bias: data.bias
+    };
+
+    if (data.planes) {
+        info.basis = data.basis;
+        info.colorspace = data.colorspace;
+        info.basisParams = data.basisParams;
+        info.planes = data.planes.map(planeRange);
+    } else if (data.channelCoefficients) {
+        info.coefficients = data.channelCoefficients.map((channel, ch) => ({
+            channel: 'RGB'[ch],
+            ranges: channel.map(planeRange)
+        }));
+    } else {
+        info.coefficients = data.coefficients.map(planeRange);
+    }
+
+    return info;
+}
+
+/**
+ * Write RGBA pixels as a PNG, with the render settings as text metadata
+ * (the same keys as the viewer's Export PNG)
+ */
+function writePNG(out, rgba, data, metadata) {
+    const text = Object.assign({ Software: 'RTI Viewer ptm-cli' }, metadata);
+    fs.writeFileSync(out, PNGEncoder.encode(rgba, data.width, data.height, text));
+}
+
+/**
+ * Run one subcommand
+ */
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const { positional, options } = parseArgs(rest);
+
+    if (!command || command === 'help' || command === '--help') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const [file, out] = positional;
+    if (!file || (command !== 'info' && !out)) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    switch (command) {
+        case 'info': {
+            const data = await loadFile(file);
+            process.stdout.write(JSON.stringify(describe(data, file), null, 2) + '\n');
+            return 0;
+        }
+
+        case 'render': {
+            const mode = options.mode || 'default';
+            if (!VIEW_MODES.includes(mode)) {
+                throw new Error(`--mode must be one of ${VIEW_MODES.join(', ')}, got "${mode}"`);
+            }
+            let lu = numberOption(options, 'lu', 0, -1, 1);
+            let lv = numberOption(options, 'lv', 0, -1, 1);
+            if (options.azimuth !== undefined || options.elevation !== undefined) {
+                if (options.lu !== undefined || options.lv !== undefined) {
+                    throw new Error('Give the light direction as --lu/--lv or as --azimuth/--elevation, not both');
+                }
+                ({ x: lu, y: lv } = Lights.fromAngles(
+                    numberOption(options, 'azimuth', 0, 0, 360),
+                    numberOption(options, 'elevation', 90, 0, 90)));
+            }
+
+            // The mode's sliders become --<uniform> options with the same ranges
+            const { controls, uniforms, supports } = RenderModes.get(mode);
+            const known = ['mode', 'lu', 'lv', 'azimuth', 'elevation', 'distance', 'spot'].concat(controls.map(control => control.uniform));
+            const unknown = Object.keys(options).find(name => !known.includes(name));
+            if (unknown) {
+                const accepted = controls.map(control => `--${control.uniform}`).join(', ') || 'none';
+                throw new Error(`Unknown option --${unknown} for mode ${mode} (mode parameters: ${accepted})`);
+            }
+
+            // A lamp at --distance from the centre of the image, optionally a spotlight
+            const light = Lights.create(lu, lv);
+            if (options.distance !== undefined) {
+                light.type = 'point';
+                light.distance = numberOption(options, 'distance', 1, Lights.MIN_DISTANCE, 100);
+                light.spotAngle = numberOption(options, 'spot', 0, 0, Lights.MAX_SPOT_ANGLE);
+            } else if (options.spot !== undefined) {
+                throw new Error('--spot needs --distance (only point lights have a cone)');
+            }
+
+            const params = { viewMode: mode, lights: [light] };
+            controls.forEach(control => {
+                params[control.uniform] = numberOption(options, control.uniform,
+                    uniforms[control.uniform].value, control.min, control.max);
+            });
+
+            const data = await loadFile(file);
+            if (supports && !supports(data)) {
+                throw new Error(`View mode ${mode} does not apply to ${data.format} data`);
+            }
+            const rgba = CPURelighter.relight(data, lu, lv, params);
+
+            // Record the sliders the mode uses, under their viewer labels
+            const { azimuth, elevation } = Lights.toAngles(lu, lv);
+            const metadata = {
+                'Source File': path.basename(file),
+                'Light Direction': `lu=${lu.toFixed(3)} lv=${lv.toFixed(3)} azimuth=${azimuth.toFixed(1)} elevation=${elevation.toFixed(1)}` +
+                    (light.type === 'point' ? ` point distance=${light.distance.toFixed(2)} target=0.500,0.500 spot=${light.spotAngle}` : ''),
+                'View Mode': mode
+            };
+            controls.forEach(control => {
+                metadata[control.label] = params[control.uniform];
+            });
+            const legend = RenderModes.describeLegend(mode, params);
+            if (legend) {
+                metadata.Legend = legend;
+            }
+            writePNG(out, rgba, data, metadata);
+            console.error(`Rendered ${data.width}x${data.height} ${mode} view at lu=${lu.toFixed(3)} lv=${lv.toFixed(3)} to ${out}`);
+            return 0;
+        }
+
+        case 'normals': {
+            const method = options.method || 'malzbender';
+            if (!NORMAL_METHODS.includes(method)) {
+                throw new Error(`--method must be one of ${NORMAL_METHODS.join(', ')}, got "${method}"`);
+            }
+
+            const data = await loadFile(file);
+            if (options.method && !data.planes) {
+                data.normals = new PTMParser().computeNormals(data.coefficients, data.width, data.height, method);
+            }
+            const rgba = CPURelighter.relight(data, 0, 0, { viewMode: 'normals' });
+            writePNG(out, rgba, data, {
+                'Source File': path.basename(file),
+                Description: 'Surface normals encoded as n * 0.5 + 0.5',
+                'Normal Method': data.planes ? 'basis' : method
+            });
+            console.error(`Wrote ${data.width}x${data.height} normal map to ${out}`);
+            return 0;
+        }
+
+        case 'convert': {
+            const data = await loadFile(file);
+            const buffer = new PTMWriter().write(data, options.format);
+            fs.writeFileSync(out, Buffer.from(buffer));
+            console.error(`Wrote ${out}`);
+            return 0;
+        }
+
+        default:
+            console.error(`Unknown command "${command}"\n\n${USAGE}`);
+            return 1;
+    }
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        if (error instanceof PTMParseError) {
+            console.error(`Error: ${error.message} (${error.code} at byte ${error.offset})`);
+        } else {
+            console.error(`Error: ${error.message}`);
+        }
+        process.exitCode = 1;
+    }
+);